@@ -2,11 +2,11 @@
 
 import chalk from 'chalk';
 import * as commander from 'commander';
+import { EventEmitter } from 'events';
 import path from 'path';
+import * as converter from './src/converter.js';
 import * as intake from './src/intake.js';
-import * as parser from './src/parser.js';
 import * as shared from './src/shared.js';
-import * as writer from './src/writer.js';
 
 (async () => {
 	// configure command line help output
@@ -20,19 +20,56 @@ import * as writer from './src/writer.js';
 		});
 		
 	// gather config options from command line and wizard
-	await intake.getConfig();
+	const config = await intake.getConfig();
 
-	// parse data from XML and do Markdown translations
-	const posts = await parser.parseFilePromise()
-
-	// write files and download images
-	await writer.writeFilesPromise(posts);
+	// parse data from XML, do Markdown translations, write files, and download images
+	const events = new EventEmitter();
+	events.on('progress', logProgress);
+	await converter.run(config, events);
 
 	// happy goodbye
 	console.log('\nAll done!');
-	console.log('Look for your output files in: ' + path.resolve(shared.config.output));
+	if (config.dryRun) {
+		console.log('This was a dry run, no output files were saved.');
+	} else {
+		console.log('Look for your output files in: ' + path.resolve(config.output));
+	}
 })().catch((ex) => {
 	// sad goodbye
 	console.log('\nSomething went wrong, execution halted early.');
 	console.error(ex);
 });
+
+function logProgress(event) {
+	switch (event.type) {
+		case 'heading':
+			shared.logHeading(event.text);
+			break;
+		case 'message':
+			console.log(event.text);
+			break;
+		case 'warning':
+			console.log(chalk.yellow(event.text));
+			event.details?.forEach((detail) => console.log(chalk.gray('  ' + detail)));
+			break;
+		case 'file': {
+			const messageBits = [
+				event.error ? chalk.red('✗') : chalk.green('✓'),
+				chalk.gray(`[${event.fileType}]`),
+				event.name
+			];
+			if (event.error) {
+				messageBits.push(chalk.red(`(${event.error})`));
+			}
+			console.log(messageBits.join(' '));
+			break;
+		}
+		case 'summary':
+			if (event.failedCount === 0) {
+				console.log('Done, got them all!');
+			} else {
+				console.log('Done, but with ' + chalk.red(event.failedCount + ' failed') + '.');
+			}
+			break;
+	}
+}
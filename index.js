@@ -0,0 +1,2 @@
+// entry point for using this from code, see app.js for the command line
+export { convert } from './src/converter.js';
@@ -0,0 +1,184 @@
+import { unserialize } from 'php-serialize';
+import * as serializer from './serializer.js';
+
+// user meta that's only about the WordPress admin (or secret), this never goes in author files
+const internalMetaKeys = [
+	'admin_color',
+	'comment_shortcuts',
+	'community-events-location',
+	'dismissed_wp_pointers',
+	'locale',
+	'rich_editing',
+	'session_tokens',
+	'show_admin_bar_front',
+	'show_welcome_panel',
+	'syntax_highlighting',
+	'use_ssl'
+];
+
+// same, for keys that start with the database table prefix (usually "wp_")
+const internalMetaKeySuffixes = ['capabilities', 'user_level', 'user-settings', 'user-settings-time', 'dashboard_quick_press_last_post_id'];
+
+// author file formats, keyed by the value used with --authors
+const fileFormats = {
+	json: {
+		extension: '.json',
+		build: (author) => JSON.stringify(author, null, '\t') + '\n'
+	},
+	yaml: {
+		extension: '.yaml',
+		build: (author, config) => serializer.toYaml(author, config)
+	},
+	markdown: {
+		extension: '.md',
+		build: buildMarkdownFile
+	}
+};
+
+/**
+ * Reads an author from the channel. Values that are empty in the export are left undefined. Standard
+ * exports don't have user meta, but some plugins add it to each <wp:author> the same way post meta is
+ * added to posts, in <wp:author_meta> (or <wp:usermeta>) nodes.
+ *
+ * @param {Object} authorData
+ * @param {import('events').EventEmitter} events Receives "progress" events.
+ * @returns {{id: (number|undefined), login: (string|undefined), slug: string, email: (string|undefined),
+ *   displayName: (string|undefined), firstName: (string|undefined), lastName: (string|undefined),
+ *   bio: (string|undefined), meta: Object}}
+ */
+export function collectAuthor(authorData, events) {
+	const getValue = (name) => authorData.optionalChildValue(name) || undefined;
+	const id = parseInt(authorData.optionalChildValue('author_id') ?? '') || undefined;
+	const login = getValue('author_login');
+	const meta = collectMeta(authorData, login, events);
+
+	// the "Biographical Info" field, which themes show on author pages
+	const bio = typeof meta.description === 'string' && meta.description !== '' ? meta.description : undefined;
+	delete meta.description;
+
+	return {
+		id,
+		login,
+		slug: buildSlug(login, id),
+		email: getValue('author_email'),
+		displayName: getValue('author_display_name'),
+		firstName: getValue('author_first_name'),
+		lastName: getValue('author_last_name'),
+		bio,
+		meta
+	};
+}
+
+/**
+ * Two logins can come out as the same slug, so an author whose slug is already taken gets their ID added
+ * (and a number after that, if even that's taken). Posts and author files both use the result.
+ *
+ * @param {Object} author From collectAuthor().
+ * @param {Array.<Object>} otherAuthors Authors already collected, with their slugs already resolved.
+ * @returns {string}
+ */
+export function getUniqueSlug(author, otherAuthors) {
+	const takenSlugs = new Set(otherAuthors.map((otherAuthor) => otherAuthor.slug));
+	const baseSlug = takenSlugs.has(author.slug) && author.id !== undefined ? `${author.slug}-${author.id}` : author.slug;
+
+	let slug = baseSlug;
+	for (let number = 2; takenSlugs.has(slug); number++) {
+		slug = `${baseSlug}-${number}`;
+	}
+
+	return slug;
+}
+
+/**
+ * A post's author as it goes in frontmatter, depending on the author key option. Posts by someone who
+ * isn't in the channel fall back to what can be worked out from their login.
+ *
+ * @param {Object} post
+ * @param {Object} config
+ * @returns {(string|undefined)}
+ */
+export function getAuthorValue(post, config) {
+	// not decoded (WordPress doesn't allow funky characters in usernames anyway)
+	// surprisingly, does not always exist (squarespace exports, for example)
+	const login = post.data.optionalChildValue('creator');
+	if (!login) {
+		return undefined;
+	}
+
+	if (config.authorKey === 'slug') {
+		return post.authorProfile?.slug ?? buildSlug(login);
+	} else if (config.authorKey === 'name') {
+		return post.authorProfile?.displayName ?? login;
+	}
+
+	return login;
+}
+
+/**
+ * @param {Array.<Object>} authors From collectAuthor(), with slugs from getUniqueSlug().
+ * @param {Object} config
+ * @returns {Array.<{filename: string, content: string}>} One file for each author, in the authors folder
+ *   (filename is relative to it).
+ */
+export function buildAuthorFiles(authors, config) {
+	const fileFormat = fileFormats[config.authors];
+
+	return authors.map((author) => ({
+		filename: author.slug + fileFormat.extension,
+		content: fileFormat.build(buildAuthorValues(author), config)
+	}));
+}
+
+// like WordPress does for the "nicename" it puts in author URLs, which isn't in the export
+function buildSlug(login, id) {
+	const slug = (login ?? '').toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+	return slug || 'id-' + id;
+}
+
+function collectMeta(authorData, login, events) {
+	const metas = [...authorData.children('author_meta'), ...authorData.children('usermeta')];
+	const entries = metas
+		.map((meta) => [meta.optionalChildValue('meta_key') ?? '', meta.optionalChildValue('meta_value') ?? ''])
+		.filter(([key, value]) => key !== '' && value !== '' && !isInternalMetaKey(key))
+		.map(([key, value]) => {
+			if (!/^a:\d+:/.test(value.trim())) {
+				return [key, value];
+			}
+
+			try {
+				return [key, unserialize(value)];
+			} catch (ex) {
+				events.emit('progress', { type: 'warning', text: `Failed to unserialize user meta value for key "${key}" of author "${login}": ${value}` });
+				return [key, value];
+			}
+		});
+
+	return Object.fromEntries(entries);
+}
+
+function isInternalMetaKey(key) {
+	// keys starting with "_" are hidden by WordPress itself
+	return key.startsWith('_') || internalMetaKeys.includes(key) || internalMetaKeySuffixes.some((suffix) => key.endsWith('_' + suffix));
+}
+
+// everything a static site generator needs to build an author page, posts link to it by login, slug, or name
+function buildAuthorValues(author) {
+	return {
+		id: author.id,
+		login: author.login,
+		slug: author.slug,
+		name: author.displayName,
+		firstName: author.firstName,
+		lastName: author.lastName,
+		email: author.email,
+		bio: author.bio,
+		meta: Object.keys(author.meta).length > 0 ? author.meta : undefined
+	};
+}
+
+// the bio goes in the body, everything else in frontmatter, with the name as the page title
+function buildMarkdownFile(values, config) {
+	const { name, bio, ...rest } = values;
+	const content = serializer.toFrontmatter({ title: name, ...rest }, config);
+	return bio ? `${content}\n${bio}\n` : content;
+}
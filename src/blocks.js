@@ -0,0 +1,100 @@
+// block comment delimiters, for example:
+// <!-- wp:image {"id":30} -->, <!-- /wp:image -->, or <!-- wp:spacer /-->
+// attributes are JSON, which WordPress encodes in a way that never contains "-->"
+const delimiterRegex = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*(?:\/[a-z][a-z0-9_-]*)?)\s+(?:(\{[\s\S]*?\})\s+)?(\/)?-->/g;
+
+/**
+ * Parses the block grammar used by the WordPress block editor into a tree.
+ *
+ * @param {string} content Post content HTML, including block comment delimiters.
+ * @returns {Array} Top level nodes. Each is either a string of HTML (between blocks)
+ *   or a block object with name, attributes, children (same structure), and the
+ *   original opening/closing delimiters.
+ */
+export function parseBlocks(content) {
+	const root = { children: [] };
+	const stack = [root];
+	let lastIndex = 0;
+
+	for (const match of content.matchAll(delimiterRegex)) {
+		const [delimiter, isClosing, rawName, rawAttributes, isSelfClosing] = match;
+		const current = stack.at(-1);
+
+		if (match.index > lastIndex) {
+			current.children.push(content.slice(lastIndex, match.index));
+		}
+		lastIndex = match.index + delimiter.length;
+
+		const name = rawName.includes('/') ? rawName : 'core/' + rawName;
+		if (isClosing) {
+			if (stack.length > 1 && current.name === name) {
+				current.closer = delimiter;
+				stack.pop();
+			} else {
+				// stray closing delimiter, keep it as plain HTML
+				current.children.push(delimiter);
+			}
+			continue;
+		}
+
+		const block = {
+			name,
+			attributes: parseAttributes(rawAttributes),
+			children: [],
+			opener: delimiter,
+			closer: ''
+		};
+		current.children.push(block);
+		if (!isSelfClosing) {
+			stack.push(block);
+		}
+	}
+
+	if (lastIndex < content.length) {
+		stack.at(-1).children.push(content.slice(lastIndex));
+	}
+
+	return root.children;
+}
+
+/**
+ * Turns a parsed block tree back into HTML. Blocks with a name in markedNames are wrapped
+ * in a <div> with data-wetm-block and data-wetm-attributes, so they can be picked up
+ * during conversion. All other blocks are left exactly as they were.
+ *
+ * @param {Array} nodes Nodes returned from parseBlocks().
+ * @param {string[]} markedNames Block names to wrap, like "core/image".
+ * @returns {string}
+ */
+export function serializeBlocks(nodes, markedNames) {
+	return nodes.map((node) => {
+		if (typeof node === 'string') {
+			return node;
+		}
+
+		const innerHtml = serializeBlocks(node.children, markedNames);
+		if (!markedNames.includes(node.name)) {
+			return node.opener + innerHtml + node.closer;
+		}
+
+		const attributes = escapeAttribute(JSON.stringify(node.attributes));
+		return `<div data-wetm-block="${node.name}" data-wetm-attributes="${attributes}">${innerHtml}</div>`;
+	}).join('');
+}
+
+function parseAttributes(rawAttributes) {
+	if (!rawAttributes) {
+		return {};
+	}
+
+	try {
+		return JSON.parse(rawAttributes);
+	} catch (ex) {
+		// malformed attributes shouldn't stop the whole conversion
+		return {};
+	}
+}
+
+function escapeAttribute(value) {
+	return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
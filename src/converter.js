@@ -0,0 +1,104 @@
+import { EventEmitter } from 'events';
+import * as downloader from './downloader.js';
+import * as intake from './intake.js';
+import * as parser from './parser.js';
+import * as paths from './paths.js';
+import * as report from './report.js';
+import * as sources from './sources.js';
+import * as writer from './writer.js';
+
+/**
+ * Converts WordPress export file(s) into Markdown files. Everything it needs comes from options,
+ * so more than one conversion can run at the same time with different settings.
+ *
+ * @param {Object} options Same options as the command line, keyed in camelCase (for example, saveImages).
+ *   Anything left out gets its default value.
+ * @param {EventEmitter} [events] Receives "progress" events, see run().
+ * @returns {Promise<{posts: Array, images: Array, media: Array, files: Array, report: (Object|undefined)}>} See run().
+ */
+export async function convert(options, events) {
+	return run(intake.buildConfig(options), events);
+}
+
+/**
+ * Runs a conversion with a config that's already been built, like the one from the command line.
+ *
+ * @param {Object} config
+ * @param {EventEmitter} [events] Receives "progress" events, each an object with a type:
+ *   - "heading" with text, when a new step starts
+ *   - "message" with text
+ *   - "warning" with text and optional details (an array of strings)
+ *   - "file" with fileType, name, destinationPath, and error (if the file couldn't be saved)
+ *   - "summary" with failedCount, after a batch of files has been saved
+ * @returns {Promise<{posts: Array, images: Array, media: Array, files: Array, report: (Object|undefined)}>} Parsed posts,
+ *   images and media files found for them, every file with its type, destinationPath, and status ("written", "existing",
+ *   "deleted", or "failed"), and a report (for a dry run, or when a report file is requested). When retrying failed
+ *   downloads, only files are returned.
+ */
+export async function run(config, events = new EventEmitter()) {
+	if (config.retryFailed) {
+		return retryFailedPromise(config, events);
+	}
+
+	const parsed = await parser.parseFilePromise(config, events);
+
+	if (config.polylang) {
+		events.emit('progress', { type: 'message', text: 'Building Polylang translation groups...' });
+	}
+	const plan = paths.planOutput(parsed.posts, parsed.images, parsed.media, config);
+	if (plan.collisions.length > 0) {
+		const details = plan.collisions.map((collision) => paths.describeCollision(collision, config));
+		if (config.collisions === 'fail' && !config.dryRun) {
+			throw new Error(`Found ${plan.collisions.length} path collisions, nothing was saved.\n\n` + details.join('\n'));
+		}
+		events.emit('progress', { type: 'warning', text: `Found ${plan.collisions.length} path collisions.`, details });
+	}
+
+	const mediaSource = config.mediaSource ? await sources.openPromise(config.mediaSource) : undefined;
+	try {
+		// a dry run stops short of writing or downloading anything
+		const files = config.dryRun ? [] : await writer.writeFilesPromise(plan, parsed, config, events, mediaSource);
+		const conversionReport = await reportPromise(parsed, plan, config, events, mediaSource);
+
+		return { posts: parsed.posts, images: parsed.images, media: parsed.media, files, report: conversionReport };
+	} finally {
+		await mediaSource?.closePromise();
+	}
+}
+
+// only the downloads that failed last time, the export file isn't parsed at all
+async function retryFailedPromise(config, events) {
+	events.emit('progress', { type: 'heading', text: 'Retrying failed downloads' });
+	if (config.dryRun) {
+		const { downloads } = await downloader.loadFailedDownloadsPromise(config);
+		events.emit('progress', { type: 'message', text: `${downloads.length} failed downloads would be retried.` });
+		return { posts: [], images: [], media: [], files: [], report: undefined };
+	}
+
+	const mediaSource = config.mediaSource ? await sources.openPromise(config.mediaSource) : undefined;
+	try {
+		const files = await writer.retryFailedDownloadsPromise(config, events, mediaSource);
+		return { posts: [], images: [], media: [], files, report: undefined };
+	} finally {
+		await mediaSource?.closePromise();
+	}
+}
+
+async function reportPromise(parsed, plan, config, events, mediaSource) {
+	let conversionReport;
+	if (config.dryRun || config.report) {
+		conversionReport = report.buildReport(parsed, plan, config, mediaSource);
+
+		if (config.dryRun) {
+			events.emit('progress', { type: 'heading', text: 'Dry run report' });
+			report.buildReportLines(conversionReport).forEach((text) => events.emit('progress', { type: 'message', text }));
+		}
+
+		if (config.report) {
+			await report.writeReportFilePromise(conversionReport, config.report);
+			events.emit('progress', { type: 'message', text: `\nReport saved to ${config.report}.` });
+		}
+	}
+
+	return conversionReport;
+}
@@ -1,12 +1,12 @@
-import xml2js from 'xml2js';
+import fs from 'fs';
+import sax from 'sax';
 
 class Data {
 	#obj;
 	#expression;
 
 	constructor(obj, expression) {
-		// xml2js returns leaf nodes as strings, turn those into consistent objects
-		// I found this to be safer and more efficient than using the explicitCharkey option
+		// leaf nodes come through as strings, turn those into consistent objects
 		this.#obj = typeof obj === 'string' ? { _: obj } : obj;
 
 		// this identifies how the object was referenced, helps a ton with debugging
@@ -90,19 +90,107 @@ class Data {
 	}
 }
 
-export async function load(content) {
-	const rootData = await xml2js.parseStringPromise(content, {
-		tagNameProcessors: [xml2js.processors.stripPrefix],
-		trim: true
-	}).catch((ex) => {
-		ex.message = 'Could not parse XML. This likely means your import file is malformed.\n\n' + ex.message;
-		throw ex;
-	});
-
-	const rssData = rootData.rss;
-	if (rssData === undefined) {
-		throw new Error('Could not find <rss> root node. This likely means your import file is malformed.')
+// streams the export file, yielding each child node of <channel> as { name, data } one at a time
+// so that huge exports can be processed without holding the entire document in memory
+export async function* stream(filePath) {
+	const parser = sax.parser(true, { trim: false, normalize: false });
+	const stack = [];
+	const pending = [];
+	const counts = {};
+	let foundRss = false;
+
+	parser.onopentag = (node) => {
+		const name = stripPrefix(node.name);
+		if (stack.length === 0) {
+			foundRss = name === 'rss';
+		}
+
+		// attributes go in "$", text goes in "_", child nodes go in arrays keyed by name
+		const obj = { _: '' };
+		if (Object.keys(node.attributes).length > 0) {
+			obj.$ = { ...node.attributes };
+		}
+		stack.push({ name, obj, cdata: false });
+	};
+
+	parser.ontext = (text) => {
+		const current = stack.at(-1);
+		if (current) {
+			current.obj._ += text;
+		}
+	};
+
+	parser.oncdata = (text) => {
+		const current = stack.at(-1);
+		if (current) {
+			current.obj._ += text;
+			current.cdata = true;
+		}
+	};
+
+	parser.onclosetag = () => {
+		const { name, obj, cdata } = stack.pop();
+		const value = finalizeNode(obj, cdata);
+
+		if (stack.length === 2 && stack[0].name === 'rss' && stack[1].name === 'channel') {
+			// a complete child of <channel>, hand it off instead of attaching it to the tree
+			const index = counts[name] ?? 0;
+			counts[name] = index + 1;
+			pending.push({ name, data: new Data(value, `rss.channel.${name}[${index}]`) });
+		} else if (stack.length > 0) {
+			const parent = stack.at(-1).obj;
+			parent[name] ??= [];
+			parent[name].push(value);
+		}
+	};
+
+	// only errors from the parser are about the XML, errors reading the file (like ENOENT) are thrown as-is
+	const parse = (func) => {
+		try {
+			func();
+		} catch (ex) {
+			ex.message = 'Could not parse XML. This likely means your import file is malformed.\n\n' + ex.message;
+			throw ex;
+		}
+	};
+
+	const fileStream = fs.createReadStream(filePath, { encoding: 'utf8' });
+	try {
+		for await (const chunk of fileStream) {
+			parse(() => parser.write(chunk));
+			while (pending.length > 0) {
+				yield pending.shift();
+			}
+		}
+		parse(() => parser.close());
+	} finally {
+		fileStream.destroy();
+	}
+
+	while (pending.length > 0) {
+		yield pending.shift();
+	}
+
+	if (!foundRss) {
+		throw new Error('Could not find <rss> root node. This likely means your import file is malformed.');
+	}
+}
+
+// turns "wp:post_id" into "post_id"
+function stripPrefix(name) {
+	return name.replace(/(?!xmlns)^.*:/, '');
+}
+
+// trims text and collapses text-only nodes down to plain strings
+function finalizeNode(obj, cdata) {
+	if (/^\s*$/.test(obj._) && !cdata) {
+		delete obj._;
+	} else {
+		obj._ = obj._.trim();
+		if (Object.keys(obj).length === 1) {
+			return obj._;
+		}
 	}
 
-	return new Data(rssData, 'rss');
+	return Object.keys(obj).length === 0 ? '' : obj;
 }
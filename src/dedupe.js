@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Saves downloaded files. With dedupeFiles set, a file with the same content as one already saved this run
+ * isn't saved again, it's linked to the first one instead (a symlink for "symlink", otherwise a hardlink).
+ *
+ * @param {Object} config
+ * @returns {{writeFilePromise: Function, linkFilePromise: Function}} writeFilePromise(destinationPath, data)
+ *   saves a file, and linkFilePromise(targetPath, linkPath) links to a saved file from somewhere else, unless
+ *   something is already there.
+ */
+export function createStore(config) {
+	// resolves to the path of the first file saved with each hash, or undefined if it couldn't be saved
+	const savedPathsByHash = new Map();
+
+	const writeFilePromise = async (destinationPath, data) => {
+		if (config.dedupeFiles === 'none') {
+			await writeFile(destinationPath, data);
+			return;
+		}
+
+		const hash = crypto.createHash('sha256').update(data).digest('hex');
+		const savedPath = await savedPathsByHash.get(hash);
+		if (savedPath) {
+			await linkFilePromise(savedPath, destinationPath);
+			return;
+		}
+
+		// set before anything is awaited, so files with the same content saved at the same time wait on this one
+		const savePromise = writeFile(destinationPath, data);
+		savedPathsByHash.set(hash, savePromise.then(() => destinationPath, () => undefined));
+		await savePromise;
+	};
+
+	const linkFilePromise = async (targetPath, linkPath) => {
+		if (await existsPromise(linkPath)) {
+			return;
+		}
+
+		await fs.promises.mkdir(path.dirname(linkPath), { recursive: true });
+		if (config.dedupeFiles === 'symlink') {
+			// relative, so the output folder can be moved
+			await fs.promises.symlink(path.relative(path.dirname(linkPath), targetPath), linkPath);
+			return;
+		}
+
+		try {
+			await fs.promises.link(targetPath, linkPath);
+		} catch (ex) {
+			// hardlinks can't cross drives, and some file systems don't have them at all
+			if (!['EXDEV', 'EPERM', 'ENOTSUP', 'ENOSYS'].includes(ex.code)) {
+				throw ex;
+			}
+			await fs.promises.copyFile(targetPath, linkPath);
+		}
+	};
+
+	return { writeFilePromise, linkFilePromise };
+}
+
+async function writeFile(destinationPath, data) {
+	await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+	await fs.promises.writeFile(destinationPath, data);
+}
+
+// broken symlinks count too, they're still in the way
+async function existsPromise(filePath) {
+	try {
+		await fs.promises.lstat(filePath);
+		return true;
+	} catch (ex) {
+		return false;
+	}
+}
@@ -0,0 +1,380 @@
+import axios from 'axios';
+import fs from 'fs';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import https from 'https';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import path from 'path';
+import { getProxyForUrl } from 'proxy-from-env';
+
+// HttpsProxyAgent only uses its options for the connection to the proxy, this uses them for the
+// connection to the server at the other end of the tunnel too (for extra certificates and strict SSL)
+class TunnelingAgent extends HttpsProxyAgent {
+	constructor(proxy, opts) {
+		super(proxy, opts);
+		this.tlsOptions = { ca: opts.ca, rejectUnauthorized: opts.rejectUnauthorized };
+	}
+
+	connect(req, opts) {
+		return super.connect(req, { ...opts, ...this.tlsOptions });
+	}
+}
+
+// kept in the output folder, with paths relative to it so the whole folder can be moved
+const failedDownloadsFilename = '.wetm-failed-downloads.json';
+
+/**
+ * Spaces out requests to the same host by the request delay, requests to different hosts don't wait on
+ * each other.
+ *
+ * @param {Object} config
+ * @returns {{waitPromise: Function}} waitPromise(url) resolves once it's this request's turn.
+ */
+export function createLimiter(config) {
+	const nextStartTimes = new Map();
+
+	return {
+		waitPromise: async (url) => {
+			const host = getHost(url);
+			const now = Date.now();
+			const startTime = Math.max(now, nextStartTimes.get(host) ?? now);
+			nextStartTimes.set(host, startTime + config.requestDelay);
+			await sleepPromise(startTime - now);
+		}
+	};
+}
+
+// calls func for each item, with no more than concurrency calls going at once
+export async function runConcurrentlyPromise(items, concurrency, func) {
+	let nextIndex = 0;
+	const work = async () => {
+		while (nextIndex < items.length) {
+			const index = nextIndex++;
+			await func(items[index], index);
+		}
+	};
+
+	const workerCount = Math.min(Math.max(concurrency, 1), items.length);
+	await Promise.all(Array.from({ length: workerCount }, work));
+}
+
+/**
+ * Loads the files that download requests need (the cookie file and extra certificates), once per run.
+ *
+ * @param {Array.<string>} siteHosts Host names of the WordPress site, from parser.parseFilePromise().
+ * @param {Object} config
+ * @returns {Promise<{cookies: Array.<Object>, ca: (string|undefined), trustedHosts: Set.<string>, agents: Map}>}
+ *   Pass to downloadFilePromise().
+ */
+export async function loadRequestSettingsPromise(siteHosts, config) {
+	const readFilePromise = async (filePath, description) => {
+		try {
+			return await fs.promises.readFile(filePath, 'utf8');
+		} catch (ex) {
+			ex.message = `Could not read ${description} ${filePath}.\n\n` + ex.message;
+			throw ex;
+		}
+	};
+
+	return {
+		cookies: config.cookieFile ? parseCookies(await readFilePromise(config.cookieFile, 'cookie file')) : [],
+		ca: config.caFile ? await readFilePromise(config.caFile, 'certificates file') : undefined,
+
+		// headers, auth, and cookies without a domain are only sent to the site and the mirrors it's rewritten to,
+		// never to other sites that posts happen to have images from
+		trustedHosts: new Set([...siteHosts, ...config.downloadUrlRewrites.map(({ to }) => getHostname(to))].filter(Boolean).map(toTrustedHost)),
+
+		// reused for every request through the same proxy (or no proxy)
+		agents: new Map()
+	};
+}
+
+/**
+ * Downloads a file, retrying with exponential backoff when the server is busy (429) or has an error (5xx),
+ * or the request fails without a response (like a timeout).
+ *
+ * @param {string} fileUrl
+ * @param {Object} limiter From createLimiter().
+ * @param {Object} requestSettings From loadRequestSettingsPromise().
+ * @param {Object} config
+ * @returns {Promise<Buffer>}
+ */
+export async function downloadFilePromise(fileUrl, limiter, requestSettings, config) {
+	// only encode the URL if it doesn't already have encoded characters
+	const url = rewriteUrl((/%[\da-f]{2}/i).test(fileUrl) ? fileUrl : encodeURI(fileUrl), config);
+
+	const requestConfig = {
+		method: 'get',
+		url,
+		headers: buildHeaders(url, requestSettings, config),
+		responseType: 'arraybuffer',
+		timeout: config.requestTimeout,
+
+		// proxies are handled by the agents, which (unlike axios) can tunnel HTTPS requests through them
+		proxy: false,
+		...getAgents(url, requestSettings, config),
+
+		// redirects only drop auth and cookies when the domain changes, this drops everything else that's
+		// only for trusted hosts too
+		beforeRedirect: (options) => {
+			if (!isTrustedUrl(options.href, requestSettings)) {
+				removeTrustedHeaders(options, config);
+			}
+		}
+	};
+
+	if (config.requestAuth.type === 'basic' && isTrustedUrl(url, requestSettings)) {
+		requestConfig.auth = { username: config.requestAuth.username, password: config.requestAuth.password };
+	}
+
+	for (let attempt = 0; ; attempt++) {
+		await limiter.waitPromise(url);
+		try {
+			const response = await axios(requestConfig);
+			return Buffer.from(response.data, 'binary');
+		} catch (ex) {
+			const status = ex.response?.status;
+			const isRetryable = status === undefined || status === 429 || status >= 500;
+			if (!isRetryable || attempt >= config.downloadRetries) {
+				throw ex;
+			}
+
+			// the server's Retry-After wins, if it's longer
+			const backoff = 1000 * 2 ** attempt;
+			await sleepPromise(Math.max(backoff, getRetryAfter(ex.response?.headers?.['retry-after'])));
+		}
+	}
+}
+
+/**
+ * @param {Object} config
+ * @returns {Promise<{siteHosts: Array.<string>, downloads: Array.<{type: string, url: string, destinationPath: string, variants: Array, links: Array.<string>, error: string}>}>}
+ *   Host names of the site the files are from, and the images and media files that couldn't be saved last time
+ *   (an empty array if there weren't any).
+ */
+export async function loadFailedDownloadsPromise(config) {
+	const failedDownloadsPath = path.join(config.output, failedDownloadsFilename);
+
+	let text;
+	try {
+		text = await fs.promises.readFile(failedDownloadsPath, 'utf8');
+	} catch (ex) {
+		if (ex.code === 'ENOENT') {
+			return { siteHosts: [], downloads: [] };
+		}
+		throw ex;
+	}
+
+	let failedDownloads;
+	let siteHosts;
+	try {
+		({ downloads: failedDownloads, siteHosts = [] } = JSON.parse(text));
+	} catch (ex) {
+		ex.message = `Could not read failed downloads file ${failedDownloadsPath}.\n\n` + ex.message;
+		throw ex;
+	}
+
+	const toAbsolute = (relativePath) => path.join(config.output, ...relativePath.split('/'));
+	const downloads = failedDownloads.map((download) => ({
+		...download,
+		destinationPath: toAbsolute(download.destinationPath),
+		links: (download.links ?? []).map(toAbsolute),
+		variants: (download.variants ?? []).map((variant) => ({
+			...variant,
+			destinationPath: toAbsolute(variant.destinationPath),
+			links: (variant.links ?? []).map(toAbsolute)
+		}))
+	}));
+
+	return { siteHosts, downloads };
+}
+
+// replaces the failed downloads file, or removes it if nothing failed (site hosts are kept for the request settings)
+export async function saveFailedDownloadsPromise(failedDownloads, siteHosts, config) {
+	const failedDownloadsPath = path.join(config.output, failedDownloadsFilename);
+	if (failedDownloads.length === 0) {
+		await fs.promises.rm(failedDownloadsPath, { force: true });
+		return;
+	}
+
+	const toRelative = (destinationPath) => path.relative(config.output, destinationPath).split(path.sep).join('/');
+	const downloads = failedDownloads.map((download) => ({
+		...download,
+		destinationPath: toRelative(download.destinationPath),
+		links: (download.links ?? []).map(toRelative),
+		variants: download.variants.map((variant) => ({
+			...variant,
+			destinationPath: toRelative(variant.destinationPath),
+			links: (variant.links ?? []).map(toRelative)
+		}))
+	}));
+
+	await fs.promises.mkdir(config.output, { recursive: true });
+	await fs.promises.writeFile(failedDownloadsPath, JSON.stringify({ siteHosts, downloads }, null, '\t') + '\n');
+}
+
+// swaps the start of the URL for a mirror, the first rewrite that matches wins
+function rewriteUrl(url, config) {
+	const rewrite = config.downloadUrlRewrites.find(({ from }) => {
+		// "https://example.com" matches "https://example.com/photo.jpg", but not "https://example.com.au/photo.jpg"
+		return url.startsWith(from) && (from.endsWith('/') || ['', '/', '?', '#'].includes(url.charAt(from.length)));
+	});
+
+	return rewrite ? rewrite.to + url.slice(rewrite.from.length) : url;
+}
+
+function buildHeaders(url, requestSettings, config) {
+	const isTrusted = isTrustedUrl(url, requestSettings);
+	const headers = {
+		'User-Agent': 'wordpress-export-to-markdown',
+		...(isTrusted ? config.requestHeaders : {})
+	};
+
+	if (config.requestAuth.type === 'bearer' && isTrusted) {
+		headers['Authorization'] = 'Bearer ' + config.requestAuth.token;
+	}
+
+	const cookies = getCookiesForUrl(url, requestSettings.cookies, isTrusted);
+	if (cookies.length > 0) {
+		// added to any cookies from the headers option
+		const cookieHeaderName = Object.keys(headers).find((name) => name.toLowerCase() === 'cookie') ?? 'Cookie';
+		headers[cookieHeaderName] = [headers[cookieHeaderName], ...cookies.map(({ name, value }) => `${name}=${value}`)].filter(Boolean).join('; ');
+	}
+
+	return headers;
+}
+
+// the opposite of what buildHeaders() adds for trusted hosts, for a redirect to some other host
+function removeTrustedHeaders(options, config) {
+	const names = [...Object.keys(config.requestHeaders), 'authorization', 'cookie'].map((name) => name.toLowerCase());
+	Object.keys(options.headers).filter((name) => names.includes(name.toLowerCase())).forEach((name) => {
+		delete options.headers[name];
+	});
+	delete options.auth;
+}
+
+function getAgents(url, requestSettings, config) {
+	const isHttps = url.toLowerCase().startsWith('https:');
+
+	// the proxy option wins over the HTTP_PROXY, HTTPS_PROXY, and NO_PROXY environment variables
+	const proxy = config.proxy || getProxyForUrl(url);
+	const tlsOptions = { ca: requestSettings.ca, rejectUnauthorized: config.strictSsl };
+	if (!proxy && !isHttps) {
+		return {};
+	}
+
+	const agentKey = `${isHttps ? 'https' : 'http'} ${proxy}`;
+	if (!requestSettings.agents.has(agentKey)) {
+		let agent;
+		if (!proxy) {
+			agent = new https.Agent({ keepAlive: true, ...tlsOptions });
+		} else if (isHttps) {
+			agent = new TunnelingAgent(proxy, { keepAlive: true, ...tlsOptions });
+		} else {
+			agent = new HttpProxyAgent(proxy, { keepAlive: true });
+		}
+		requestSettings.agents.set(agentKey, agent);
+	}
+
+	const agent = requestSettings.agents.get(agentKey);
+	return isHttps ? { httpsAgent: agent } : { httpAgent: agent };
+}
+
+/**
+ * Reads cookies from a cookies.txt file in the Netscape format used by curl, wget, and browser extensions
+ * that export cookies. A file with a single line like "name=value; other=value" is also allowed, and
+ * those cookies are sent to the site's hosts.
+ *
+ * @param {string} text
+ * @returns {Array.<{domain: string, includeSubdomains: boolean, path: string, secure: boolean, expires: number, name: string, value: string}>}
+ */
+function parseCookies(text) {
+	const lines = text.split(/\r?\n/).map((line) => line.replace(/^#HttpOnly_/, '')).filter((line) => line.trim() !== '' && !line.startsWith('#'));
+	if (lines.length === 1 && !lines[0].includes('\t')) {
+		return lines[0].split(';').filter((pair) => pair.includes('=')).map((pair) => {
+			const separatorIndex = pair.indexOf('=');
+			return {
+				domain: '',
+				includeSubdomains: true,
+				path: '/',
+				secure: false,
+				expires: 0,
+				name: pair.slice(0, separatorIndex).trim(),
+				value: pair.slice(separatorIndex + 1).trim()
+			};
+		});
+	}
+
+	return lines.map((line) => line.split('\t')).filter((fields) => fields.length >= 7).map((fields) => ({
+		domain: fields[0].replace(/^\./, '').toLowerCase(),
+		includeSubdomains: fields[1].toUpperCase() === 'TRUE' || fields[0].startsWith('.'),
+		path: fields[2] || '/',
+		secure: fields[3].toUpperCase() === 'TRUE',
+		expires: Number(fields[4]) || 0,
+		name: fields[5],
+		value: fields.slice(6).join('\t')
+	}));
+}
+
+function getCookiesForUrl(url, cookies, isTrusted) {
+	let parsedUrl;
+	try {
+		parsedUrl = new URL(url);
+	} catch (ex) {
+		return [];
+	}
+
+	const hostname = parsedUrl.hostname.toLowerCase();
+	const now = Date.now() / 1000;
+	return cookies.filter((cookie) => {
+		// no domain means the site's hosts, and an expiry of 0 means the cookie lasts for the session
+		const isDomainMatch = (cookie.domain === '' && isTrusted) || hostname === cookie.domain || (cookie.includeSubdomains && hostname.endsWith('.' + cookie.domain));
+		const isPathMatch = parsedUrl.pathname.startsWith(cookie.path);
+		const isProtocolMatch = !cookie.secure || parsedUrl.protocol === 'https:';
+		const isExpired = cookie.expires !== 0 && cookie.expires < now;
+		return isDomainMatch && isPathMatch && isProtocolMatch && !isExpired;
+	});
+}
+
+// "www." makes no difference, the same as for links between posts
+function toTrustedHost(hostname) {
+	return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+function isTrustedUrl(url, requestSettings) {
+	const hostname = getHostname(url);
+	return hostname !== '' && requestSettings.trustedHosts.has(toTrustedHost(hostname));
+}
+
+// milliseconds to wait, from a Retry-After header with either a number of seconds or a date
+function getRetryAfter(retryAfter) {
+	if (!retryAfter) {
+		return 0;
+	}
+
+	if (/^\d+$/.test(retryAfter.trim())) {
+		return parseInt(retryAfter) * 1000;
+	}
+
+	const date = Date.parse(retryAfter);
+	return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+function getHostname(url) {
+	try {
+		return new URL(url).hostname;
+	} catch (ex) {
+		return '';
+	}
+}
+
+function getHost(url) {
+	try {
+		return new URL(url).host;
+	} catch (ex) {
+		return '';
+	}
+}
+
+function sleepPromise(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -1,20 +1,57 @@
-export function author(post) {
-	// not decoded (WordPress doesn't allow funky characters in usernames anyway)
-	// surprisingly, does not always exist (squarespace exports, for example)
-	return post.data.optionalChildValue('creator');
+import * as luxon from 'luxon';
+import { unserialize } from 'php-serialize';
+import * as authors from './authors.js';
+import * as taxonomies from './taxonomies.js';
+
+// meta keys for each SEO field, in order of preference: Yoast, Rank Math, AIOSEO, then the older AIOSEO Pack
+const seoMetaKeys = {
+	title: ['_yoast_wpseo_title', 'rank_math_title', '_aioseo_title', '_aioseop_title'],
+	description: ['_yoast_wpseo_metadesc', 'rank_math_description', '_aioseo_description', '_aioseop_description'],
+	focusKeyword: ['_yoast_wpseo_focuskw', 'rank_math_focus_keyword', '_aioseo_keywords', '_aioseop_keywords'],
+	canonical: ['_yoast_wpseo_canonical', 'rank_math_canonical_url', '_aioseo_canonical_url'],
+	ogTitle: ['_yoast_wpseo_opengraph-title', 'rank_math_facebook_title', '_aioseo_og_title'],
+	ogDescription: ['_yoast_wpseo_opengraph-description', 'rank_math_facebook_description', '_aioseo_og_description'],
+	ogImage: ['_yoast_wpseo_opengraph-image', 'rank_math_facebook_image'],
+	twitterTitle: ['_yoast_wpseo_twitter-title', 'rank_math_twitter_title', '_aioseo_twitter_title'],
+	twitterDescription: ['_yoast_wpseo_twitter-description', 'rank_math_twitter_description', '_aioseo_twitter_description'],
+	twitterImage: ['_yoast_wpseo_twitter-image', 'rank_math_twitter_image']
+};
+
+export function author(post, config) {
+	// login, slug, or display name, to match up with author files
+	return authors.getAuthorValue(post, config);
+}
+
+export function authorEmail(post) {
+	// from the channel's <wp:author> for this post's author, previously parsed
+	return post.authorProfile?.email;
+}
+
+export function authorName(post) {
+	// display name from the channel's <wp:author> for this post's author, previously parsed
+	return post.authorProfile?.displayName;
+}
+
+export function categories(post, config) {
+	// array of decoded category slugs (or display names), excluding 'uncategorized'
+	return taxonomies.getPostTerms(post, 'category')
+		.filter((term) => term.slug !== 'uncategorized')
+		.map((term) => taxonomies.getTermValue(term, config));
 }
 
-export function categories(post) {
-	// array of decoded category names, excluding 'uncategorized'
-	const categories = post.data.children('category');
-	return categories
-		.filter((category) => category.attribute('domain') === 'category' && category.attribute('nicename') !== 'uncategorized')
-		.map((category) => decodeURIComponent(category.attribute('nicename')));
+export function commentStatus(post) {
+	// "open" or "closed"
+	return post.data.optionalChildValue('comment_status') || undefined;
 }
 
-export function coverImage(post) {
-	// cover image filename, previously parsed and decoded
-	return post.coverImage;
+export function coverImage(post, config) {
+	// cover image filename, previously parsed and decoded, with prefix from the profile (unless it's a relative path
+	// to a shared copy)
+	if (!post.coverImage) {
+		return post.coverImage;
+	}
+
+	return post.isCoverImageShared ? post.coverImage : config.profile.coverImagePrefix + post.coverImage;
 }
 
 export function date(post) {
@@ -39,9 +76,15 @@ export function excerpt(post) {
 	return encoded ? encoded.replace(/[\r\n]+/gm, ' ') : undefined;
 }
 
-export function language(post) {
+export function format(post) {
+	// post format like "gallery" or "video", WordPress leaves standard posts without one
+	const formatCategory = post.data.children('category').find((category) => category.attribute('domain') === 'post_format');
+	return formatCategory ? decodeURIComponent(formatCategory.attribute('nicename')).replace(/^post-format-/, '') : undefined;
+}
+
+export function language(post, config) {
 	// language code, previously parsed and decoded
-	return post.polylang?.language || shared.config.polylangDefaultLanguage;
+	return post.polylang?.language || config.polylangDefaultLanguage;
 }
 
 export function id(post) {
@@ -49,6 +92,63 @@ export function id(post) {
 	return parseInt(post.id);
 }
 
+export function menuOrder(post) {
+	// integer used to sort pages, 0 unless set
+	const menuOrder = parseInt(post.data.optionalChildValue('menu_order'));
+	return Number.isNaN(menuOrder) ? undefined : menuOrder;
+}
+
+export function modified(post, config) {
+	// a luxon datetime object, like date
+	// the GMT date is "0000-00-00 00:00:00" for drafts, so the local date is the fallback
+	const gmtDate = luxon.DateTime.fromSQL(post.modified ?? '', { zone: 'utc' });
+	if (gmtDate.isValid) {
+		return gmtDate.setZone(config.timezone);
+	}
+
+	const localDate = luxon.DateTime.fromSQL(post.data.optionalChildValue('post_modified') ?? '', { zone: config.timezone });
+	return localDate.isValid ? localDate : undefined;
+}
+
+export function parent(post) {
+	// slug of the parent page, or slugs of all its parents like "about/team", previously parsed
+	return post.parentPath;
+}
+
+export function password(post) {
+	// boolean representing whether the post is password protected, only included when true
+	// the password itself is never included
+	return post.data.optionalChildValue('post_password') ? true : undefined;
+}
+
+export function seo(post) {
+	// SEO plugin fields, normalized to the same names no matter which plugin set them
+	const seo = {};
+	Object.entries(seoMetaKeys).forEach(([field, metaKeys]) => {
+		const value = metaKeys.map((metaKey) => getMetaValue(post, metaKey)).find((metaValue) => metaValue);
+		if (value) {
+			seo[field] = value;
+		}
+	});
+
+	// Rank Math keeps robots settings as a serialized array, like ["noindex", "nofollow"]
+	let rankMathRobots = [];
+	try {
+		rankMathRobots = Object.values(unserialize(getMetaValue(post, 'rank_math_robots') ?? 'a:0:{}'));
+	} catch (ex) {
+		// left out if it can't be unserialized
+	}
+
+	if (getMetaValue(post, '_yoast_wpseo_meta-robots-noindex') === '1' || rankMathRobots.includes('noindex') || getMetaValue(post, '_aioseop_noindex') === 'on') {
+		seo.noindex = true;
+	}
+	if (getMetaValue(post, '_yoast_wpseo_meta-robots-nofollow') === '1' || rankMathRobots.includes('nofollow') || getMetaValue(post, '_aioseop_nofollow') === 'on') {
+		seo.nofollow = true;
+	}
+
+	return Object.keys(seo).length > 0 ? seo : undefined;
+}
+
 export function slug(post) {
 	// previously parsed and decoded
 	return post.slug;
@@ -68,12 +168,20 @@ export function link(post) {
 	return post.link;
 }
 
-export function tags(post) {
-	// array of decoded tag names (yes, they come from <category> nodes, not a typo)
-	const categories = post.data.children('category');
-	return categories
-		.filter((category) => category.attribute('domain') === 'post_tag')
-		.map((category) => decodeURIComponent(category.attribute('nicename')));
+export function sticky(post) {
+	// boolean representing whether the post is stuck to the top of the blog, only included when true
+	return post.data.optionalChildValue('is_sticky') === '1' ? true : undefined;
+}
+
+export function tags(post, config) {
+	// array of decoded tag slugs or display names (yes, they come from <category> nodes, not a typo)
+	return taxonomies.getPostTerms(post, 'post_tag').map((term) => taxonomies.getTermValue(term, config));
+}
+
+export function template(post) {
+	// page template file like "full-width.php", left out for the default template
+	const template = getMetaValue(post, '_wp_page_template');
+	return template && template !== 'default' ? template : undefined;
 }
 
 export function title(post) {
@@ -85,3 +193,8 @@ export function type(post) {
 	// previously parsed but not decoded, can be "post", "page", or other custom types
 	return post.type;
 }
+
+function getMetaValue(post, key) {
+	const meta = post.data.children('postmeta').find((meta) => meta.childValue('meta_key') === key);
+	return meta?.optionalChildValue('meta_value');
+}
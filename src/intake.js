@@ -1,8 +1,12 @@
 import chalk from 'chalk';
 import * as commander from 'commander';
+import fs from 'fs';
 import * as luxon from 'luxon';
 import path from 'path';
+import * as url from 'url';
+import * as yaml from 'yaml';
 import * as normalizers from './normalizers.js';
+import * as profiles from './profiles.js';
 import * as questions from './questions.js';
 import * as shared from './shared.js';
 
@@ -20,7 +24,7 @@ const promptTheme = {
 export async function getConfig() {
 	// check command line for any config options
 	const commandLineQuestions = questions.load();
-	const commandLineAnswers = getCommandLineAnswers(commandLineQuestions);
+	const commandLineAnswers = await getCommandLineAnswers(commandLineQuestions);
 
 	let wizardAnswers;
 	if (commandLineAnswers.wizard) {
@@ -35,10 +39,53 @@ export async function getConfig() {
 		shared.logHeading('Skipping wizard');
 	}
 
-	Object.assign(shared.config, commandLineAnswers, wizardAnswers);
+	return { ...commandLineAnswers, ...wizardAnswers };
 }
 
-function getCommandLineAnswers(questions) {
+/**
+ * Builds a complete config from options passed in code, with the same defaults and validation as the
+ * command line (including settings from a profile). Options that only make sense on the command line,
+ * like "wizard" and "config", are not allowed.
+ *
+ * @param {Object} options Keyed by camelCase option name.
+ * @returns {Object}
+ */
+export function buildConfig(options = {}) {
+	const apiQuestions = questions.load().filter((question) => !['wizard', 'config'].includes(question.name));
+
+	const unknownKey = Object.keys(options).find((key) => !apiQuestions.some((question) => shared.camelCase(question.name) === key));
+	if (unknownKey !== undefined) {
+		throw new Error(`Unknown option '${unknownKey}'.`);
+	}
+
+	const getAnswer = (question, value) => {
+		try {
+			return normalizeAnswer(question, value);
+		} catch (ex) {
+			throw new Error(`Option '${shared.camelCase(question.name)}' value '${JSON.stringify(value)}' is invalid. ${ex.message}`);
+		}
+	};
+
+	// the profile comes first, since it can change the default values of other options
+	const profileQuestion = apiQuestions.find((question) => question.name === 'profile');
+	const profile = profiles.load(getAnswer(profileQuestion, options.profile ?? profileQuestion.default));
+
+	const config = { profile };
+	apiQuestions.filter((question) => question !== profileQuestion).forEach((question) => {
+		const key = shared.camelCase(question.name);
+		if (Object.hasOwn(options, key)) {
+			config[key] = getAnswer(question, options[key]);
+		} else if (Object.hasOwn(profile.options, key)) {
+			config[key] = getAnswer(question, profile.options[key]);
+		} else {
+			config[key] = getAnswer(question, question.default);
+		}
+	});
+
+	return config;
+}
+
+async function getCommandLineAnswers(questions) {
 	// show errors in red
 	commander.program.configureOutput({
 		outputError: (str, write) => write(chalk.red(str))
@@ -66,15 +113,37 @@ function getCommandLineAnswers(questions) {
 
 	const answers = commander.program.parse().opts();
 
+	// answers from the config file take the place of default answers, but not user-provided ones
+	const configFileAnswers = await getConfigFileAnswers(questions, answers.config);
+	for (const [key, value] of Object.entries(configFileAnswers)) {
+		if (commander.program.getOptionValueSource(key) === 'default') {
+			commander.program.setOptionValueWithSource(key, value, 'config');
+			answers[key] = value;
+		}
+	}
+
+	// swap profile name (or path) for the full profile
+	try {
+		answers.profile = profiles.load(answers.profile);
+	} catch (ex) {
+		commander.program.error(`error: profile is invalid. ${ex.message}`);
+	}
+
 	// do some post-processing on the answers
 	for (const [key, value] of Object.entries(answers)) {
-		// the "wizard" answer and any user-provided (not defaulted) answers are left alone
-		if (key === 'wizard' || commander.program.getOptionValueSource(key) !== 'default') {
+		// the "wizard" and "profile" answers and any user-provided (not defaulted) answers are left alone
+		if (key === 'wizard' || key === 'profile' || commander.program.getOptionValueSource(key) !== 'default') {
 			continue;
 		}
 
 		const question = questions.find((question) => shared.camelCase(question.name) === key);
-		if (answers.wizard && question.prompt) {
+		if (Object.hasOwn(answers.profile.options, key)) {
+			// the profile's value takes the place of the default answer, no need for the wizard to ask about it
+			const profileValue = answers.profile.options[key];
+			answers[key] = normalize(profileValue, question.type, (errorMessage) => {
+				commander.program.error(`error: profile "${answers.profile.name}" option '${question.name}' value '${profileValue}' is invalid. ${errorMessage}`);
+			});
+		} else if (answers.wizard && question.prompt) {
 			// remove this default answer, allowing the wizard to ask about it later
 			delete answers[key];
 		} else {
@@ -89,6 +158,71 @@ function getCommandLineAnswers(questions) {
 	return answers;
 }
 
+async function getConfigFileAnswers(questions, filePath) {
+	if (!filePath) {
+		return {};
+	}
+
+	let configFile;
+	try {
+		configFile = await loadConfigFile(filePath);
+	} catch (ex) {
+		commander.program.error(`error: config file '${filePath}' could not be loaded. ${ex.message}`);
+	}
+
+	if (typeof configFile !== 'object' || configFile === null || Array.isArray(configFile)) {
+		commander.program.error(`error: config file '${filePath}' must contain an object of options.`);
+	}
+
+	const answers = {};
+	for (const [name, value] of Object.entries(configFile)) {
+		// keys can be written like command line options ("save-images") or in camelCase ("saveImages")
+		const key = shared.camelCase(name);
+		const question = questions.find((question) => shared.camelCase(question.name) === key);
+		if (!question || key === 'config') {
+			commander.program.error(`error: config file '${filePath}' has unknown option '${name}'.`);
+		}
+
+		try {
+			answers[key] = normalizeAnswer(question, value);
+		} catch (ex) {
+			commander.program.error(`error: config file '${filePath}' option '${name}' value '${JSON.stringify(value)}' is invalid. ${ex.message}`);
+		}
+	}
+
+	return answers;
+}
+
+// for answers that don't come through commander, throws with a message on invalid values
+function normalizeAnswer(question, value) {
+	const answer = normalize(value, question.type, (errorMessage) => {
+		throw new Error(errorMessage);
+	});
+
+	if (question.choices && !question.choices.some((choice) => choice.value === answer)) {
+		// same check commander does for command line options
+		throw new Error(`Allowed choices are ${question.choices.map((choice) => choice.value).join(', ')}.`);
+	}
+
+	return answer;
+}
+
+async function loadConfigFile(filePath) {
+	const extension = path.extname(filePath).toLowerCase();
+	if (['.js', '.mjs', '.cjs'].includes(extension)) {
+		// options are the default export
+		const module = await import(url.pathToFileURL(filePath).href);
+		return module.default;
+	}
+
+	const text = await fs.promises.readFile(filePath, 'utf8');
+	if (['.yaml', '.yml'].includes(extension)) {
+		return yaml.parse(text);
+	}
+
+	return JSON.parse(text);
+}
+
 export async function getWizardAnswers(questions, commandLineAnswers) {
 	const answers = {};
 	for (const question of questions) {
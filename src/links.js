@@ -0,0 +1,147 @@
+import path from 'path';
+import * as shared from './shared.js';
+
+/**
+ * Rewrites links between posts so they point at where those posts are being written.
+ *
+ * @param {Array.<{post: Object, destinationPath: string}>} destinations
+ *   Every post paired with the path its Markdown file will be written to.
+ * @param {Object} config
+ */
+export function rewritePostLinks(destinations, config) {
+	const siteHosts = getSiteHosts(destinations);
+	const destinationsByKey = buildDestinationMap(destinations, siteHosts);
+
+	destinations.forEach(({ post, destinationPath }) => {
+		const rewrite = (url) => {
+			if (url.startsWith('#')) {
+				// jump link within the same post
+				return url;
+			}
+
+			const key = getLinkKey(url, siteHosts, post.link);
+			const target = key && destinationsByKey[key];
+			if (!target) {
+				// not a link to a post being converted, leave it alone
+				return url;
+			}
+
+			const hash = getHash(url);
+			return buildLink(target.post, target.destinationPath, destinationPath, config) + hash;
+		};
+
+		post.content = rewriteContentLinks(post.content, rewrite);
+		Object.keys(post.metaContent).forEach((key) => {
+			post.metaContent[key] = rewriteContentLinks(post.metaContent[key], rewrite);
+		});
+	});
+}
+
+// hosts the posts were on (without "www."), short links elsewhere are to some other site's posts
+function getSiteHosts(destinations) {
+	const hosts = new Set();
+	destinations.forEach(({ post }) => {
+		[post.link, post.data.optionalChildValue('guid')].forEach((url) => {
+			const host = getHost(url);
+			if (host) {
+				hosts.add(host);
+			}
+		});
+	});
+
+	return hosts;
+}
+
+function buildDestinationMap(destinations, siteHosts) {
+	const destinationsByKey = {};
+	destinations.forEach(({ post, destinationPath }) => {
+		const urls = [post.link, post.data.optionalChildValue('guid')];
+		const keys = [
+			'id:' + post.id,
+			...urls.filter((url) => url).map((url) => getLinkKey(url, siteHosts))
+		];
+
+		keys.filter((key) => key).forEach((key) => {
+			// first post wins, for the rare case of two posts claiming the same URL
+			destinationsByKey[key] ??= { post, destinationPath };
+		});
+	});
+
+	return destinationsByKey;
+}
+
+// turns a URL into a key that is the same for all the ways a post is commonly linked to
+function getLinkKey(url, siteHosts, baseUrl) {
+	let parsed;
+	try {
+		parsed = new URL(url, baseUrl);
+	} catch (ex) {
+		// relative URL with no base URL to resolve it against, or just plain invalid
+		return undefined;
+	}
+
+	if (!(/^https?:$/).test(parsed.protocol)) {
+		return undefined;
+	}
+
+	// short links, like "?p=123" or "?page_id=123", but only on the site itself
+	const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+	const id = parsed.searchParams.get('p') ?? parsed.searchParams.get('page_id');
+	if (id && /^\d+$/.test(id) && siteHosts.has(host)) {
+		return 'id:' + id;
+	}
+
+	let pathname = parsed.pathname.replace(/\/+$/, '');
+	try {
+		pathname = decodeURIComponent(pathname);
+	} catch (ex) {
+		// improperly encoded, compare as-is
+	}
+
+	return 'url:' + host + pathname;
+}
+
+function getHost(url) {
+	try {
+		return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+	} catch (ex) {
+		return '';
+	}
+}
+
+function getHash(url) {
+	const index = url.indexOf('#');
+	return index === -1 ? '' : url.slice(index);
+}
+
+function buildLink(targetPost, targetPath, sourcePath, config) {
+	switch (config.rewriteLinks) {
+		case 'relative':
+			return toPosixPath(path.relative(path.dirname(sourcePath), targetPath));
+		case 'permalink':
+			return shared.buildPostPermalink(targetPost, targetPath, config);
+		case 'hugo-ref':
+			// Hugo looks these up from its content folder
+			return `{{< ref "/${shared.getContentPath(targetPath, config)}" >}}`;
+	}
+}
+
+function rewriteContentLinks(content, rewrite) {
+	// Markdown links, with optional title
+	content = content.replace(/(\]\()(<[^>]+>|[^\s)]+)((?:\s+"[^"]*")?\))/g, (match, before, url, after) => {
+		const unwrapped = url.replace(/^<(.*)>$/, '$1');
+		const rewritten = rewrite(unwrapped);
+		return rewritten === unwrapped ? match : before + rewritten + after;
+	});
+
+	// links that were left as HTML
+	content = content.replace(/(<a(?=\s)[^>]*?(?<=\s)href=")([^"]*)(")/gi, (match, before, url, after) => {
+		return before + rewrite(url) + after;
+	});
+
+	return content;
+}
+
+function toPosixPath(value) {
+	return value.split(path.sep).join('/');
+}
@@ -1,5 +1,9 @@
 import fs from 'fs';
 import path from 'path';
+import { globSync } from 'tinyglobby';
+import * as profiles from './profiles.js';
+import * as redirects from './redirects.js';
+import * as shortcodes from './shortcodes.js';
 
 export function boolean(value) {
 	if (typeof value === 'boolean') {
@@ -31,14 +35,256 @@ export function filePath(value) {
 	throw new Error('File not found at ' + absolute + '.');
 }
 
+export function optionalFilePath(value) {
+	// empty string is allowed, meaning no file
+	if (value === undefined || value === '') {
+		return '';
+	}
+
+	return filePath(value);
+}
+
+export function filePaths(value) {
+	// comma separated list where each entry can be a file, a folder of .xml files, or a glob
+	const absolutes = list(value).flatMap((entry) => {
+		const unwrapped = entry.replace(/"(.*?)"/, '$1');
+		const absolute = path.resolve(unwrapped);
+
+		if (isDirectory(absolute)) {
+			const xmlPaths = globSync('*.xml', { cwd: absolute, absolute: true }).sort();
+			if (xmlPaths.length === 0) {
+				throw new Error('No .xml files found in folder ' + absolute + '.');
+			}
+			return xmlPaths.map((xmlPath) => path.resolve(xmlPath));
+		}
+
+		if (/[*?[\]{}]/.test(unwrapped)) {
+			const matchedPaths = globSync(unwrapped.replaceAll('\\', '/'), { absolute: true, onlyFiles: true }).sort();
+			if (matchedPaths.length === 0) {
+				throw new Error('No files found matching ' + unwrapped + '.');
+			}
+			return matchedPaths.map((matchedPath) => path.resolve(matchedPath));
+		}
+
+		return [filePath(unwrapped)];
+	});
+
+	// same file could be matched more than once
+	return [...new Set(absolutes)];
+}
+
+export function fileExtensions(value) {
+	// ".PDF" is the same as "pdf"
+	return list(value).filter((extension) => extension !== '').map((extension) => extension.replace(/^\./, '').toLowerCase());
+}
+
+export function imageWidths(value) {
+	const widths = list(typeof value === 'number' ? String(value) : value).filter((width) => width !== '').map((width) => {
+		const int = Number(width);
+		if (!Number.isInteger(int) || int <= 0) {
+			throw new Error(`Width "${width}" must be an integer > 0.`);
+		}
+		return int;
+	});
+
+	// smallest first, the way srcset is usually written
+	return [...new Set(widths)].sort((a, b) => a - b);
+}
+
 export function list(value) {
 	if (Array.isArray(value)) {
 		return value;
+	} else if (isPlainObject(value)) {
+		// mapping from a config file, like { "date": "created", "title": true } for "date:created,title"
+		return Object.entries(value).map(([key, alias]) => typeof alias === 'string' && alias !== key ? `${key}:${alias}` : key);
 	} else {
 		return value.trim().split(/\s*,\s*/);
 	}
 }
 
+export function mediaSource(value) {
+	// empty string is allowed, meaning files are downloaded
+	if (value === undefined || value === '') {
+		return '';
+	}
+
+	const unwrapped = value.replace(/"(.*?)"/, '$1');
+	const absolute = path.resolve(unwrapped);
+	if (isDirectory(absolute)) {
+		return absolute;
+	}
+
+	if (!/\.(zip|tar|tar\.gz|tgz)$/i.test(absolute)) {
+		throw new Error('Must be a folder, or a .zip, .tar, .tar.gz, or .tgz file.');
+	}
+
+	return filePath(absolute);
+}
+
+export function profile(value) {
+	// custom profile straight from a config file, checked when it's loaded
+	if (isPlainObject(value)) {
+		return value;
+	}
+
+	// name of a built-in profile, or path to a custom one
+	if (profiles.builtInNames.includes(value)) {
+		return value;
+	}
+
+	try {
+		return filePath(value);
+	} catch (ex) {
+		throw new Error(`Must be any of: ${profiles.builtInNames.join(', ')}. Or a path to a profile JSON file.`);
+	}
+}
+
+export function proxyUrl(value) {
+	// empty string is allowed, meaning the HTTP_PROXY and HTTPS_PROXY environment variables are used
+	if (value === undefined || value === '') {
+		return '';
+	}
+
+	if (!/^https?:\/\/[^/]/i.test(value) || !URL.canParse(value)) {
+		throw new Error('Must be a URL starting with http:// or https://.');
+	}
+
+	return value;
+}
+
+export function relativeFolderPath(value) {
+	// a folder somewhere within the output folder
+	const unwrapped = value.replace(/"(.*?)"/, '$1').replaceAll('\\', '/');
+	const segments = unwrapped.split('/').filter((segment) => segment !== '' && segment !== '.');
+	if (segments.length === 0 || path.isAbsolute(unwrapped) || segments.includes('..')) {
+		throw new Error('Must be a folder path relative to the output folder, like "shared".');
+	}
+
+	return segments.join('/');
+}
+
+export function reportPath(value) {
+	// empty string is allowed, meaning no report file
+	if (value === undefined || value === '') {
+		return '';
+	}
+
+	const unwrapped = value.replace(/"(.*?)"/, '$1');
+	if (!['.json', '.html', '.htm'].includes(path.extname(unwrapped).toLowerCase())) {
+		throw new Error('Must end with .json or .html.');
+	}
+
+	return path.resolve(unwrapped);
+}
+
+export function redirectFormats(value) {
+	const formats = list(value).filter((format) => format !== '');
+	const invalidFormat = formats.find((format) => !redirects.formats.includes(format));
+	if (invalidFormat !== undefined) {
+		throw new Error(`Unknown format "${invalidFormat}". Must be any of: ${redirects.formats.join(', ')}.`);
+	}
+
+	return formats;
+}
+
+export function requestAuth(value) {
+	// empty string is allowed, meaning no auth
+	if (value === undefined || value === '') {
+		return '';
+	}
+
+	const [, scheme, credentials] = value.match(/^(basic|bearer):(.+)$/i) ?? [];
+	if (scheme?.toLowerCase() === 'bearer') {
+		return { type: 'bearer', token: credentials };
+	} else if (scheme?.toLowerCase() === 'basic' && credentials.includes(':')) {
+		const separatorIndex = credentials.indexOf(':');
+		return { type: 'basic', username: credentials.slice(0, separatorIndex), password: credentials.slice(separatorIndex + 1) };
+	}
+
+	throw new Error('Must be like "basic:<username>:<password>" or "bearer:<token>".');
+}
+
+export function requestHeaders(value) {
+	// headers straight from a config file, otherwise a comma separated list like "X-One: a, X-Two: b"
+	const entries = isPlainObject(value)
+		? Object.entries(value)
+		: value.trim().split(/\s*,\s*(?=[\w-]+\s*:)/).filter((header) => header !== '').map((header) => {
+			const separatorIndex = header.indexOf(':');
+			if (separatorIndex < 1) {
+				throw new Error(`Header "${header}" must be like "<name>: <value>".`);
+			}
+			return [header.slice(0, separatorIndex), header.slice(separatorIndex + 1)];
+		});
+
+	const headers = {};
+	entries.forEach(([name, headerValue]) => {
+		if (!/^[\w!#$%&'*+.^`|~-]+$/.test(name.trim())) {
+			throw new Error(`Header name "${name.trim()}" is invalid.`);
+		}
+		headers[name.trim()] = String(headerValue).trim();
+	});
+
+	return headers;
+}
+
+export function shortcodeMap(value) {
+	// shortcode map straight from a config file, otherwise a path to a JSON file
+	if (isPlainObject(value)) {
+		return shortcodes.normalizeShortcodeMap(value);
+	}
+
+	return optionalFilePath(value);
+}
+
+export function taxonomyFilePath(value) {
+	// empty string is allowed, meaning no taxonomy file
+	if (value === undefined || value === '') {
+		return '';
+	}
+
+	// a file somewhere within the output folder
+	const unwrapped = value.replace(/"(.*?)"/, '$1').replaceAll('\\', '/');
+	const segments = unwrapped.split('/').filter((segment) => segment !== '' && segment !== '.');
+	if (segments.length === 0 || path.isAbsolute(unwrapped) || segments.includes('..')) {
+		throw new Error('Must be a file path relative to the output folder, like "data/taxonomies.json".');
+	}
+
+	if (!['.json', '.yaml', '.yml'].includes(path.extname(unwrapped).toLowerCase())) {
+		throw new Error('Must end with .json or .yaml.');
+	}
+
+	return segments.join('/');
+}
+
+export function urlRewrites(value) {
+	// mapping straight from a config file, otherwise a comma separated list like "<from>=<to>"
+	const entries = isPlainObject(value)
+		? Object.entries(value)
+		: list(value).filter((rewrite) => rewrite !== '').map((rewrite) => {
+			const separatorIndex = rewrite.indexOf('=');
+			return separatorIndex === -1 ? [rewrite, ''] : [rewrite.slice(0, separatorIndex), rewrite.slice(separatorIndex + 1)];
+		});
+
+	return entries.map(([from, to]) => {
+		if (![from, to].every((url) => /^https?:\/\/[^/]/i.test(url) && URL.canParse(url))) {
+			throw new Error(`Rewrite "${from}=${to}" must be like "<from URL>=<to URL>", both starting with http:// or https://.`);
+		}
+		return { from, to };
+	});
+}
+
+function isPlainObject(value) {
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isDirectory(absolute) {
+	try {
+		return fs.statSync(absolute).isDirectory();
+	} catch (ex) {
+		return false;
+	}
+}
+
 export function integer(value) {
 	const int = parseInt(value);
 	if (!Number.isNaN(int) && int >= 0) {
@@ -1,175 +1,306 @@
-import chalk from 'chalk';
-import fs from 'fs';
 import * as luxon from 'luxon';
+import path from 'path';
+import * as authors from './authors.js';
 import * as data from './data.js';
 import * as frontmatter from './frontmatter.js';
+import * as redirects from './redirects.js';
 import * as shared from './shared.js';
+import * as taxonomies from './taxonomies.js';
 import * as translator from './translator.js';
 import { unserialize } from 'php-serialize'
 
-export async function parseFilePromise() {
-  shared.logHeading('Parsing');
+/**
+ * @param {Object} config
+ * @param {import('events').EventEmitter} events Receives "progress" events.
+ * @returns {Promise<{posts: Array, images: Array, media: Array, skippedPosts: Array, taxonomies: Object, authors: Array, siteHosts: Array.<string>}>}
+ *   Posts, the images and media files found for them, posts left out by the post type and category filters, the
+ *   terms of each taxonomy (see taxonomies.buildTaxonomies()), the authors in the channel (see authors.collectAuthor()),
+ *   and the host names of the site (or sites) the export files came from.
+ */
+export async function parseFilePromise(config, events) {
+	events.emit('progress', { type: 'heading', text: 'Parsing' });
+
+	const postsByType = {};
+	const authorProfiles = [];
+	const itemParents = {};
+	const attachedImages = [];
+	const attachedMedia = [];
+	const attachmentPages = [];
+	const scrapedImages = [];
+	const scrapedMedia = [];
+	const skippedPosts = [];
+	const termMappings = {};
+	const terms = [];
+	const siteHosts = new Set();
+	const itemSources = {};
+	const duplicates = [];
+
+	// multiple export files are merged as if they were one big channel
+	for (const inputPath of config.input) {
+		if (config.input.length > 1) {
+			events.emit('progress', { type: 'message', text: `Reading ${path.basename(inputPath)}.` });
+		}
 
-  // 1) Load and parse the XML
-  const content = await fs.promises.readFile(shared.config.input, 'utf8');
-  const rssData = await data.load(content);
-  const allPostData = rssData.child('channel').children('item');
+		// stream <channel> nodes one at a time, only holding on to what's needed
+		for await (const node of data.stream(inputPath)) {
+			if (['category', 'tag', 'term'].includes(node.name)) {
+				terms.push(taxonomies.collectTerm(node.name, node.data));
+				if (node.name === 'term') {
+					collectTermMapping(node.data, termMappings, events);
+				}
+			} else if (['link', 'base_site_url', 'base_blog_url'].includes(node.name)) {
+				collectSiteHost(node.data, siteHosts);
+			} else if (node.name === 'author') {
+				// the same author can show up in more than one export file, first one wins
+				const author = authors.collectAuthor(node.data, events);
+				if (!author.login || !authorProfiles.some((authorProfile) => authorProfile.login === author.login)) {
+					author.slug = authors.getUniqueSlug(author, authorProfiles);
+					authorProfiles.push(author);
+				}
+			} else if (node.name === 'item') {
+				// the same item can show up in more than one export file, first one wins
+				const id = node.data.childValue('post_id');
+				if (itemSources[id]) {
+					duplicates.push({ id, inputPath, firstInputPath: itemSources[id] });
+					continue;
+				}
+				itemSources[id] = inputPath;
+
+				const postType = node.data.childValue('post_type');
+				if (postType === 'attachment') {
+					// always collected, shortcode galleries may need them
+					attachedImages.push(...collectAttachedImages(node.data));
+					if (config.saveMedia === 'attached' || config.saveMedia === 'all') {
+						attachedMedia.push(...collectAttachedMedia(node.data, config));
+					}
+					if (config.redirects.length > 0) {
+						attachmentPages.push(...collectAttachmentPages(node.data));
+					}
+				} else if (isContentPostType(postType)) {
+					// kept for every item, parents can be left out by the filters but are still part of the path
+					itemParents[id] = { slug: node.data.optionalChildValue('post_name') ?? '', parentId: node.data.optionalChildValue('post_parent') ?? '0' };
+
+					const skipReason = getFilterSkipReason(node.data, config);
+					if (skipReason) {
+						skippedPosts.push({ id, type: postType, title: node.data.childValue('title'), reason: skipReason });
+						continue;
+					}
 
-  // 2) Determine which post types to include/exclude
-  let postTypes = getPostTypes(allPostData);
-  if (shared.config.postTypes?.length) {
-    postTypes = postTypes.filter(pt => shared.config.postTypes.includes(pt));
-  }
-  if (shared.config.excludePostTypes?.length) {
-    postTypes = postTypes.filter(pt => !shared.config.excludePostTypes.includes(pt));
-  }
+					if (config.saveImages === 'scraped' || config.saveImages === 'all') {
+						scrapedImages.push(...collectScrapedImages(node.data));
+					}
 
-  // 3) Collect the basic posts
-  let posts = collectPosts(allPostData, postTypes);
+					const post = collectPost(node.data, config, events);
+					if (post) {
+						postsByType[postType] ??= [];
+						postsByType[postType].push(post);
 
-  // 3) category‐based filtering
-  if (shared.config.includeCategories.length) {
-    posts = posts.filter(post =>
-      frontmatter.categories(post)?.some(cat =>
-        shared.config.includeCategories.includes(cat)
-      )
-    );
-  }
-  if (shared.config.excludeCategories.length) {
-    posts = posts.filter(post =>
-      !frontmatter.categories(post)?.some(cat =>
-         shared.config.excludeCategories.includes(cat)
-      )
-    );
-  }
+						if (config.saveMedia === 'scraped' || config.saveMedia === 'all') {
+							scrapedMedia.push(...collectScrapedMedia(post));
+						}
+					}
+				}
+			}
+		}
+	}
 
-  // 4) Collect images exactly as before
-  const images = [];
-  if (shared.config.saveImages === 'attached' || shared.config.saveImages === 'all') {
-    images.push(...collectAttachedImages(allPostData));
-  }
-  if (shared.config.saveImages === 'scraped' || shared.config.saveImages === 'all') {
-    images.push(...collectScrapedImages(allPostData, postTypes));
-  }
-  mergeImagesIntoPosts(images, posts);
+	logDuplicates(duplicates, events);
 
-  // 5) Build a lookup by post ID so we can enrich posts in place
-  const postById = Object.fromEntries(posts.map(p => [String(p.id), p]));
+	const posts = getPostTypes(postsByType).flatMap((postType) => {
+		logPostCount(postType, postsByType[postType].length, events);
+		return postsByType[postType];
+	});
 
-    // 6) Parse all <term> entries (namespace stripped) for post_translations groups
-  const termMappings = {};
-  const termNodes = rssData.child('channel').children('term') || [];
-  for (const term of termNodes) {
-    const taxonomy = term.childValue('term_taxonomy');
-    if (taxonomy !== 'post_translations') continue;
+	const images = [];
+	if (config.saveImages === 'attached' || config.saveImages === 'all') {
+		events.emit('progress', { type: 'message', text: attachedImages.length + ' attached images found.' });
+		images.push(...attachedImages);
+	}
+	if (config.saveImages === 'scraped' || config.saveImages === 'all') {
+		events.emit('progress', { type: 'message', text: scrapedImages.length + ' images scraped from post body content.' });
+		images.push(...scrapedImages);
+	}
+	if (config.preferOriginalImages) {
+		const resolvedCount = resolveOriginalImages(images, attachedImages, posts);
+		if (resolvedCount > 0) {
+			events.emit('progress', { type: 'message', text: resolvedCount + ' scraped images swapped for their original uploads.' });
+		}
+	}
+	mergeImageSizes(images, attachedImages);
+	mergeImagesIntoPosts(images, posts);
 
-    const slug    = term.childValue('term_slug');
-    const rawDesc = term.childValue('term_description') || '';
+	const media = [];
+	if (config.saveMedia === 'attached' || config.saveMedia === 'all') {
+		events.emit('progress', { type: 'message', text: attachedMedia.length + ' attached media files found.' });
+		media.push(...attachedMedia);
+	}
+	if (config.saveMedia === 'scraped' || config.saveMedia === 'all') {
+		events.emit('progress', { type: 'message', text: scrapedMedia.length + ' media files scraped from post body content.' });
+		media.push(...scrapedMedia);
+	}
+	mergeMediaIntoPosts(media, posts);
+	mergeGalleriesIntoPosts(attachedImages, posts, config, events);
+	mergeAttachmentPagesIntoPosts(attachmentPages, posts);
+	mergeAuthorsIntoPosts(authorProfiles, posts);
+	resolveParents(itemParents, posts);
 
-    try {
-      const parsed = unserialize(rawDesc);
-      // Normalize IDs to strings
-      termMappings[slug] = Object.fromEntries(
-        Object.entries(parsed).map(([lang, id]) => [lang, String(id)])
-      );
-    } catch (err) {
-      console.warn(`⚠️ Could not parse term_description for ${slug}`, err);
-    }
-  }
+	// attach the full Polylang translation map to each post in a translation group
+	posts.forEach((post) => {
+		const groupSlug = post.polylang.groupSlug;
+		if (groupSlug && termMappings[groupSlug]) {
+			post.polylang.translationMap = termMappings[groupSlug];
+		}
+	});
 
-  // 7) Walk each <item> again to pull out Polylang categories
-  for (const item of allPostData) { // use just 'posts', pre-filtered?
-    const id = item.childValue('post_id');
-    const post = postById[id];
-    if (!post) continue;
-
-    // Initialize polylang container
-    post.polylang = {
-      language: null,
-      groupSlug: null,
-      translationMap: null
-    };
-
-    // Read all <category> tags on this item (xml2js puts them in item.category[])
-    const cats = item.children('category') || [];
-    for (const cat of cats) {
-      // xml2js stores attributes under `.$`
-      const domain   = cat.attribute('domain');
-      const nicename = cat.attribute('nicename');
-      if (domain === 'language') {
-        post.polylang.language = nicename;
-      }
-      if (domain === 'post_translations') {
-        post.polylang.groupSlug = nicename;
-      }
-    }
+	// finally, build frontmatter (and any other per-post enrichment)
+	populateFrontmatter(posts, config, events);
 
-    // Attach the full translationMap if we have one
-    const gs = post.polylang.groupSlug;
-    if (gs && termMappings[gs]) {
-      post.polylang.translationMap = termMappings[gs];
-    }
-  }
+	return { posts, images, media, skippedPosts, taxonomies: taxonomies.buildTaxonomies(terms, posts), authors: authorProfiles, siteHosts: [...siteHosts] };
+}
+
+function isContentPostType(postType) {
+	// skip some specific types we don't want
+	if ([
+		'attachment',
+		'revision',
+		'nav_menu_item',
+		'custom_css',
+		'customize_changeset',
+		'oembed_cache',
+		'user_request',
+		'wp_block',
+		'wp_global_styles',
+		'wp_navigation',
+		'wp_template',
+		'wp_template_part'
+	].includes(postType)) {
+		return false;
+	}
+
+	return true;
+}
+
+// why a post is left out by the post type and category filters, undefined if it isn't
+function getFilterSkipReason(postData, config) {
+	const postType = postData.childValue('post_type');
+	if (config.postTypes?.length && !config.postTypes.includes(postType)) {
+		return 'post type not included';
+	}
+
+	if (config.excludePostTypes?.length && config.excludePostTypes.includes(postType)) {
+		return 'post type excluded';
+	}
+
+	const categories = getCategorySlugs(postData);
+	if (config.includeCategories.length && !categories.some((category) => config.includeCategories.includes(category))) {
+		return 'category not included';
+	}
 
-  // 8) Finally, build frontmatter (and any other per-post enrichment)
-  populateFrontmatter(posts);
-
-  return posts;
-}
-
-function getPostTypes(allPostData) {
-	// search export file for all post types minus some specific types we don't want
-	const postTypes = [...new Set(allPostData // new Set() is used to dedupe array
-		.map((postData) => postData.childValue('post_type'))
-		.filter((postType) => ![
-			'attachment',
-			'revision',
-			'nav_menu_item',
-			'custom_css',
-			'customize_changeset',
-			'oembed_cache',
-			'user_request',
-			'wp_block',
-			'wp_global_styles',
-			'wp_navigation',
-			'wp_template',
-			'wp_template_part'
-		].includes(postType))
-	)];
-
-	// change order to "post", "page", then all custom post types (alphabetically)
+	if (config.excludeCategories.length && categories.some((category) => config.excludeCategories.includes(category))) {
+		return 'category excluded';
+	}
+
+	return undefined;
+}
+
+function getPostTypes(postsByType) {
+	// post types in the order they were first found
+	const postTypes = Object.keys(postsByType);
+
+	// change order to "post", "page", then all custom post types
 	prioritizePostType(postTypes, 'page');
 	prioritizePostType(postTypes, 'post');
 
 	return postTypes;
 }
 
-function getItemsOfType(allPostData, type) {
-	return allPostData.filter((item) => item.childValue('post_type') === type);
+function collectPost(postData, config, events) {
+	if (postData.childValue('status') === 'trash') {
+		return undefined;
+	}
+
+	if (postData.childValue('status') === 'draft' && config.profile.drafts === 'skip') {
+		return undefined;
+	}
+
+	if (postData.childValue('post_type') === 'page' && postData.childValue('post_name') === 'sample-page') {
+		return undefined;
+	}
+
+	return buildPost(postData, config, events);
 }
 
-function collectPosts(allPostData, postTypes) {
-	let allPosts = [];
-	postTypes.forEach((postType) => {
-		const postsForType = getItemsOfType(allPostData, postType)
-			.filter((postData) => postData.childValue('status') !== 'trash')
-			.filter((postData) => !(postType === 'page' && postData.childValue('post_name') === 'sample-page'))
-			.map((postData) => buildPost(postData));
+function getCategorySlugs(postData) {
+	// same rules as frontmatter.categories(), but available before the post is built
+	return postData.children('category')
+		.filter((category) => category.attribute('domain') === 'category' && category.attribute('nicename') !== 'uncategorized')
+		.map((category) => decodeURIComponent(category.attribute('nicename')));
+}
 
-		if (postsForType.length > 0) {
-			if (postType === 'post') {
-				console.log(`${postsForType.length} normal posts found.`);
-			} else if (postType === 'page') {
-				console.log(`${postsForType.length} pages found.`);
-			} else {
-				console.log(`${postsForType.length} custom "${postType}" posts found.`);
-			}
-		}
+function logPostCount(postType, count, events) {
+	let text;
+	if (postType === 'post') {
+		text = `${count} normal posts found.`;
+	} else if (postType === 'page') {
+		text = `${count} pages found.`;
+	} else {
+		text = `${count} custom "${postType}" posts found.`;
+	}
+
+	events.emit('progress', { type: 'message', text });
+}
+
+function logDuplicates(duplicates, events) {
+	if (duplicates.length === 0) {
+		return;
+	}
 
-		allPosts.push(...postsForType);
+	events.emit('progress', {
+		type: 'warning',
+		text: `${duplicates.length} duplicate post IDs found across export files, keeping the first of each:`,
+		details: duplicates.map((duplicate) => `${duplicate.id} in ${path.basename(duplicate.inputPath)} (first seen in ${path.basename(duplicate.firstInputPath)})`)
 	});
+}
+
+function collectTermMapping(termData, termMappings, events) {
+	// Polylang stores each translation group as a serialized map of language code to post ID
+	if (termData.childValue('term_taxonomy') !== 'post_translations') {
+		return;
+	}
 
-	return allPosts;
+	const slug = termData.childValue('term_slug');
+	const rawDesc = termData.optionalChildValue('term_description') || '';
+
+	try {
+		const parsed = unserialize(rawDesc);
+		// normalize IDs to strings
+		termMappings[slug] = Object.fromEntries(
+			Object.entries(parsed).map(([lang, id]) => [lang, String(id)])
+		);
+	} catch (err) {
+		events.emit('progress', { type: 'warning', text: `Could not parse term_description for ${slug}.`, details: [err.message] });
+	}
+}
+
+function getPolylang(data) {
+	const polylang = {
+		language: null,
+		groupSlug: null,
+		translationMap: null // set later, once all terms have been read
+	};
+
+	data.children('category').forEach((category) => {
+		const domain = category.attribute('domain');
+		const nicename = category.attribute('nicename');
+		if (domain === 'language') {
+			polylang.language = nicename;
+		}
+		if (domain === 'post_translations') {
+			polylang.groupSlug = nicename;
+		}
+	});
+
+	return polylang;
 }
 
 /**
@@ -215,13 +346,13 @@ export function chooseBaseSlug(postsInGroup, defaultLangCode) {
   return postsInGroup[0].slug;
 }
 
-function buildPost(data) {
+function buildPost(data, config, events) {
 	return {
 		// full raw post data
 		data,
 
 		// body content converted to markdown
-		content: translator.getPostContent(data.childValue('encoded')),
+		content: translator.getPostContent(data.childValue('encoded'), config),
 
 		// particularly useful values for all sorts of things
 		type: data.childValue('post_type'),
@@ -229,102 +360,347 @@ function buildPost(data) {
 		link: data.childValue('link'),
 		isPublished: data.childValue('status') === 'publish',
 		isDraft: data.childValue('status') === 'draft',
+		modified: data.optionalChildValue('post_modified_gmt'),
 		slug: decodeURIComponent(data.childValue('post_name')),
-		date: getPostDate(data),
-		coverImageId: getPostMetaValue(data, '_thumbnail_id'),
+		date: getPostDate(data, config),
+		coverImageId: getPostMetaValue(data, '_thumbnail_id', events),
 
 		// these are possibly set later in mergeImagesIntoPosts()
 		coverImage: undefined,
+		coverImageUrl: undefined,
 		imageUrls: [],
 
+		// possibly set later in paths.planOutput(), when the cover image is referenced by its path relative to the post
+		isCoverImageShared: false,
+
+		// possibly set later in resolveOriginalImages(), scraped image URL to the original's URL
+		originalImageUrls: {},
+
+		// possibly set later in mergeMediaIntoPosts()
+		mediaUrls: [],
+
+		// possibly set later in mergeAttachmentPagesIntoPosts()
+		attachmentLinks: [],
+
+		// possibly set later in mergeGalleriesIntoPosts(), gallery shortcodes that no attached image was found for
+		unresolvedGalleries: [],
+
+		// possibly set later in mergeAuthorsIntoPosts(), from the channel's <wp:author> with this post's login
+		authorProfile: undefined,
+
+		// possibly set later in resolveParents(), slugs of the post's parents like "about/team"
+		parentPath: undefined,
+
+		// Polylang language and translation group
+		polylang: getPolylang(data),
+
+		// approved comments, threaded by reply
+		comments: config.comments !== 'none' ? collectComments(data, config) : [],
+
 		metaContent: Object.fromEntries(
-  		shared.config.appendMeta.map((field) => {
+  		config.appendMeta.map((field) => {
         const [key, alias] = field.split(':');
-        const value = getPostMetaValue(data, key);
+        const value = getPostMetaValue(data, key, events);
         if (value !== undefined && value !== null && value !== '') {
           // treat the value
-          return [alias ?? key, translator.getPostContent(value)];
+          return [alias ?? key, translator.getPostContent(value, config)];
         }
       }).filter(x => x)
 		)
 	};
 }
 
-function getPostDate(data) {
-	const date = luxon.DateTime.fromRFC2822(data.childValue('pubDate'), { zone: shared.config.timezone });
+// from the channel's <link>, <wp:base_site_url>, and <wp:base_blog_url>
+function collectSiteHost(urlData, siteHosts) {
+	try {
+		siteHosts.add(new URL(urlData.value().trim()).hostname.toLowerCase());
+	} catch (ex) {
+		// not a URL, nothing to add
+	}
+}
+
+function mergeAuthorsIntoPosts(authorProfiles, posts) {
+	const authorsByLogin = Object.fromEntries(authorProfiles.filter((author) => author.login).map((author) => [author.login, author]));
+	posts.forEach((post) => {
+		post.authorProfile = authorsByLogin[post.data.optionalChildValue('creator')];
+	});
+}
+
+function resolveParents(itemParents, posts) {
+	posts.forEach((post) => {
+		const slugs = [];
+		const seenIds = new Set([post.id]);
+		for (let parentId = itemParents[post.id]?.parentId; itemParents[parentId] && !seenIds.has(parentId); parentId = itemParents[parentId].parentId) {
+			// a parent that's somehow its own ancestor would go around forever
+			seenIds.add(parentId);
+			slugs.unshift(shared.getSlugWithFallback({ id: parentId, slug: decodeURIComponent(itemParents[parentId].slug) }));
+		}
+
+		if (slugs.length > 0) {
+			post.parentPath = slugs.join('/');
+		}
+	});
+}
+
+function getPostDate(data, config) {
+	const date = luxon.DateTime.fromRFC2822(data.childValue('pubDate'), { zone: config.timezone });
+	return date.isValid ? date : undefined;
+}
+
+function collectComments(data, config) {
+	const comments = data.children('comment')
+		// only approved comments, this leaves out spam, trash, and those awaiting moderation
+		.filter((commentData) => commentData.childValue('comment_approved') === '1')
+		.map((commentData) => ({
+			id: parseInt(commentData.childValue('comment_id')),
+			parentId: parseInt(commentData.optionalChildValue('comment_parent') ?? '0'),
+			author: commentData.optionalChildValue('comment_author') || undefined,
+			authorUrl: commentData.optionalChildValue('comment_author_url') || undefined,
+			date: getCommentDate(commentData, config),
+			content: translator.getPostContent(commentData.childValue('comment_content'), config),
+			replies: []
+		}));
+
+	// nest replies under the comment they were replying to
+	const commentsById = Object.fromEntries(comments.map((comment) => [comment.id, comment]));
+	const topLevelComments = [];
+	comments.forEach((comment) => {
+		const parentComment = commentsById[comment.parentId];
+		if (parentComment) {
+			parentComment.replies.push(comment);
+		} else {
+			// top level, or replying to a comment that was not approved
+			topLevelComments.push(comment);
+		}
+		delete comment.parentId;
+	});
+
+	return topLevelComments;
+}
+
+function getCommentDate(commentData, config) {
+	// prefer GMT date, it's "0000-00-00 00:00:00" for some older comments
+	const gmtDate = luxon.DateTime.fromSQL(commentData.optionalChildValue('comment_date_gmt') ?? '', { zone: 'utc' });
+	if (gmtDate.isValid) {
+		return gmtDate.setZone(config.timezone);
+	}
+
+	const date = luxon.DateTime.fromSQL(commentData.optionalChildValue('comment_date') ?? '', { zone: config.timezone });
 	return date.isValid ? date : undefined;
 }
 
-function getPostMetaValue(data, key) {
+function getPostMetaValue(data, key, events) {
 	const metas = data.children('postmeta');
 	const meta = metas.find((meta) => meta.childValue('meta_key') === key);
 
 	const raw = meta ? meta.childValue('meta_value') : undefined;
 
 	// If it looks like a PHP-serialized array/object, deserialize it
-  if (typeof raw === 'string' && /^a:\d+:/.test(raw.trim())) {
+  if (isSerializedArray(raw)) {
     try {
       // Note: you must have installed `php-serialize`
       const parsed = unserialize(raw)
       return parsed
     } catch (e) {
       // fallback to the raw string if unserialization fails
-      console.log(`Failed to unserialize meta value for key "${key}": ${raw}`);
+      events.emit('progress', { type: 'warning', text: `Failed to unserialize meta value for key "${key}": ${raw}` });
     }
   }
 
 	return raw;
 }
 
-function collectAttachedImages(allPostData) {
-	const images = getItemsOfType(allPostData, 'attachment')
-		// filter to certain image file types
-		.filter((attachment) => {
-			const url = attachment.childValue('attachment_url');
-			return url && (/\.(gif|jpe?g|png|webp)(\?|$)/i).test(url);
+// keys of meta values that look like serialized PHP arrays, but can't be unserialized
+export function findUnserializeFailures(data) {
+	return data.children('postmeta')
+		.filter((meta) => {
+			const raw = meta.childValue('meta_value');
+			if (!isSerializedArray(raw)) {
+				return false;
+			}
+
+			try {
+				unserialize(raw);
+				return false;
+			} catch (ex) {
+				return true;
+			}
 		})
-		.map((attachment) => ({
-			id: attachment.childValue('post_id'),
-			postId: attachment.optionalChildValue('post_parent') ?? 'nope', // may not exist (cover image in a squarespace export, for example)
-			url: attachment.childValue('attachment_url')
-		}));
+		.map((meta) => meta.childValue('meta_key'));
+}
 
-	console.log(images.length + ' attached images found.');
-	return images;
+function isSerializedArray(raw) {
+	return typeof raw === 'string' && /^a:\d+:/.test(raw.trim());
 }
 
-function collectScrapedImages(allPostData, postTypes) {
-	const images = [];
-	postTypes.forEach((postType) => {
-		getItemsOfType(allPostData, postType).forEach((postData) => {
-			const postId = postData.childValue('post_id');
-
-			const postContent = postData.childValue('encoded');
-			const scrapedUrls = [...postContent.matchAll(/<img(?=\s)[^>]+?(?<=\s)src="(.+?)"[^>]*>/gi)].map((match) => match[1]);
-			scrapedUrls.forEach((scrapedUrl) => {
-				let url;
-				if (isAbsoluteUrl(scrapedUrl)) {
-					url = scrapedUrl;
-				} else {
-					const postLink = postData.childValue('link');
-					if (isAbsoluteUrl(postLink)) {
-						url = new URL(scrapedUrl, postLink).href;
-					} else {
-						throw new Error(`Unable to determine absolute URL from scraped image URL '${scrapedUrl}' and post link URL '${postLink}'.`);
-					}
-				}
+function collectAttachedImages(attachmentData) {
+	// filter to certain image file types
+	const url = attachmentData.childValue('attachment_url');
+	if (!url || !(/\.(gif|jpe?g|png|webp)(\?|$)/i).test(url)) {
+		return [];
+	}
 
-				images.push({
-					id: 'nope', // scraped images don't have an id
-					postId,
-					url
-				});
-			});
-		});
+	return [{
+		id: attachmentData.childValue('post_id'),
+		postId: attachmentData.optionalChildValue('post_parent') ?? 'nope', // may not exist (cover image in a squarespace export, for example)
+		url,
+		originalKey: getOriginalImageKey(url),
+		size: getAttachedImageSize(attachmentData)
+	}];
+}
+
+// width and height of the uploaded file, from the metadata WordPress keeps for it
+function getAttachedImageSize(attachmentData) {
+	const meta = attachmentData.children('postmeta').find((meta) => meta.childValue('meta_key') === '_wp_attachment_metadata');
+	try {
+		const metadata = unserialize(meta?.childValue('meta_value') ?? '');
+		const width = parseInt(metadata.width);
+		const height = parseInt(metadata.height);
+		return width > 0 && height > 0 ? { width, height } : undefined;
+	} catch (ex) {
+		// no metadata, or it can't be unserialized
+		return undefined;
+	}
+}
+
+function collectAttachedMedia(attachmentData, config) {
+	// images are collected separately, even if their extension is also a media extension
+	const url = attachmentData.childValue('attachment_url');
+	if (!url || collectAttachedImages(attachmentData).length > 0 || !shared.isMediaUrl(url, config)) {
+		return [];
+	}
+
+	return [{
+		id: attachmentData.childValue('post_id'),
+		postId: attachmentData.optionalChildValue('post_parent') ?? 'nope',
+		url
+	}];
+}
+
+function collectAttachmentPages(attachmentData) {
+	// WordPress gives each attachment its own page, which is worth redirecting to the post it belongs to
+	const link = attachmentData.optionalChildValue('link');
+	const postId = attachmentData.optionalChildValue('post_parent');
+	if (!link || !postId || postId === '0') {
+		return [];
+	}
+
+	return [{ postId, link }];
+}
+
+function collectScrapedImages(postData) {
+	const postId = postData.childValue('post_id');
+
+	const postContent = postData.childValue('encoded');
+	const scrapedUrls = [...postContent.matchAll(/<img(?=\s)[^>]+?(?<=\s)src="(.+?)"[^>]*>/gi)].map((match) => match[1]);
+	return scrapedUrls.map((scrapedUrl) => {
+		let url;
+		if (isAbsoluteUrl(scrapedUrl)) {
+			url = scrapedUrl;
+		} else {
+			const postLink = postData.childValue('link');
+			if (isAbsoluteUrl(postLink)) {
+				url = new URL(scrapedUrl, postLink).href;
+			} else {
+				throw new Error(`Unable to determine absolute URL from scraped image URL '${scrapedUrl}' and post link URL '${postLink}'.`);
+			}
+		}
+
+		return {
+			id: 'nope', // scraped images don't have an id
+			postId,
+			url,
+			originalKey: getOriginalImageKey(url),
+			size: getScrapedImageSize(url)
+		};
+	});
+}
+
+function collectScrapedMedia(post) {
+	// media URLs were marked while converting content, which also covers media from converted shortcodes
+	const urls = [];
+	const collectUrls = (content) => translator.replaceMediaMarkers(content, (src) => {
+		if (isAbsoluteUrl(src)) {
+			urls.push(src);
+		} else if (isAbsoluteUrl(post.link)) {
+			urls.push(new URL(src, post.link).href);
+		}
+		return '';
+	});
+
+	collectUrls(post.content);
+	Object.values(post.metaContent).forEach(collectUrls);
+	const collectFromComments = (comments) => comments.forEach((comment) => {
+		collectUrls(comment.content);
+		collectFromComments(comment.replies);
+	});
+	collectFromComments(post.comments);
+
+	return urls.map((url) => ({
+		id: 'nope', // scraped media files don't have an id
+		postId: post.id,
+		url
+	}));
+}
+
+// same for an original upload and every size WordPress generated from it, like "photo-1024x683.jpg" or "photo-scaled.jpg"
+// resized copies have their size in the file name, like "photo-1024x683.jpg"
+function getScrapedImageSize(url) {
+	const match = url.split('?')[0].split('#')[0].match(/-(\d+)x(\d+)\.\w+$/);
+	return match ? { width: parseInt(match[1]), height: parseInt(match[2]) } : undefined;
+}
+
+function getOriginalImageKey(url) {
+	// protocol and host are left out, images are sometimes served from a CDN or a different domain
+	let pathname = url.split('?')[0].split('#')[0].replace(/^https?:\/\/[^/]+/i, '');
+	const uploadsIndex = pathname.lastIndexOf('/uploads/');
+	if (uploadsIndex !== -1) {
+		pathname = pathname.slice(uploadsIndex);
+	}
+
+	return pathname.replace(/(-(\d+x\d+|scaled|rotated))+(?=\.\w+$)/i, '').toLowerCase();
+}
+
+// swaps scraped images that match an attachment for the attachment's original, returns how many were swapped
+function resolveOriginalImages(images, attachedImages, posts) {
+	const attachedImagesByKey = {};
+	attachedImages.forEach((image) => {
+		attachedImagesByKey[image.originalKey] ??= image;
+	});
+	const postById = Object.fromEntries(posts.map((post) => [post.id, post]));
+
+	let resolvedCount = 0;
+	images.forEach((image) => {
+		const attachedImage = attachedImagesByKey[image.originalKey];
+		if (image.id !== 'nope' || !attachedImage || attachedImage.url === image.url) {
+			return;
+		}
+
+		// references in content still have the scraped URL, so the post needs to know where it went
+		const post = postById[image.postId];
+		if (post) {
+			post.originalImageUrls[image.url] = attachedImage.url;
+		}
+
+		image.id = attachedImage.id;
+		image.url = attachedImage.url;
+		image.size = attachedImage.size;
+		resolvedCount++;
 	});
 
-	console.log(images.length + ' images scraped from post body content.');
-	return images;
+	return resolvedCount;
+}
+
+// scraped images that are attachments themselves (not resized copies) get the size from the attachment
+function mergeImageSizes(images, attachedImages) {
+	const attachedImagesByUrl = {};
+	attachedImages.forEach((image) => {
+		attachedImagesByUrl[image.url] ??= image;
+	});
+
+	images.forEach((image) => {
+		image.size ??= attachedImagesByUrl[image.url]?.size;
+	});
 }
 
 function mergeImagesIntoPosts(images, posts) {
@@ -341,6 +717,7 @@ function mergeImagesIntoPosts(images, posts) {
 			if (image.id === post.coverImageId) {
 				shouldAttach = true;
 				post.coverImage = shared.getFilenameFromUrl(image.url);
+				post.coverImageUrl = image.url;
 			}
 
 			if (shouldAttach && !post.imageUrls.includes(image.url)) {
@@ -350,6 +727,71 @@ function mergeImagesIntoPosts(images, posts) {
 	});
 }
 
+function mergeMediaIntoPosts(media, posts) {
+	const postById = Object.fromEntries(posts.map((post) => [post.id, post]));
+	media.forEach((mediaFile) => {
+		const post = postById[mediaFile.postId];
+		if (post && !post.mediaUrls.includes(mediaFile.url)) {
+			post.mediaUrls.push(mediaFile.url);
+		}
+	});
+}
+
+function mergeGalleriesIntoPosts(attachedImages, posts, config, events) {
+	const imagesById = Object.fromEntries(attachedImages.map((image) => [image.id, image]));
+
+	posts.forEach((post) => {
+		const buildGallery = (ids, text) => {
+			// a gallery without IDs shows all images attached to the post
+			const galleryImages = ids.length > 0
+				? ids.map((id) => imagesById[id]).filter((image) => image)
+				: attachedImages.filter((image) => image.postId === post.id);
+
+			// nothing to show, so the shortcode is left as written
+			if (galleryImages.length === 0) {
+				post.unresolvedGalleries.push(text);
+				return undefined;
+			}
+
+			return galleryImages.map((image) => {
+				if (config.saveImages === 'none') {
+					return `![](${image.url})`;
+				}
+
+				// same as how scraped images are referenced in getPostContent()
+				if (!post.imageUrls.includes(image.url)) {
+					post.imageUrls.push(image.url);
+				}
+				return `![](${translator.buildImageMarker(image.url)})`;
+			}).join('\n\n');
+		};
+
+		post.content = translator.replaceGalleryMarkers(post.content, buildGallery);
+		Object.keys(post.metaContent).forEach((key) => {
+			post.metaContent[key] = translator.replaceGalleryMarkers(post.metaContent[key], buildGallery);
+		});
+	});
+
+	const unresolvedPosts = posts.filter((post) => post.unresolvedGalleries.length > 0);
+	if (unresolvedPosts.length > 0) {
+		events.emit('progress', {
+			type: 'warning',
+			text: `${unresolvedPosts.length} posts have galleries with no attached images found, leaving the shortcodes as-is:`,
+			details: unresolvedPosts.map((post) => `${post.unresolvedGalleries.join(', ')} in post ${post.id}`)
+		});
+	}
+}
+
+function mergeAttachmentPagesIntoPosts(attachmentPages, posts) {
+	const postById = Object.fromEntries(posts.map((post) => [post.id, post]));
+	attachmentPages.forEach((attachmentPage) => {
+		const post = postById[attachmentPage.postId];
+		if (post && !post.attachmentLinks.includes(attachmentPage.link)) {
+			post.attachmentLinks.push(attachmentPage.link);
+		}
+	});
+}
+
 /**
  * Deep-sets `obj[path[0]][path[1]]… = value`, creating intermediate
  * objects if they don’t yet exist.
@@ -371,10 +813,10 @@ function setNested(obj, path, value) {
   cur[path[path.length - 1]] = value;
 }
 
-function populateFrontmatter(posts) {
+function populateFrontmatter(posts, config, events) {
 	posts.forEach((post) => {
 		post.frontmatter = {};
-		shared.config.frontmatterFields.forEach((field) => {
+		config.frontmatterFields.forEach((field) => {
 			const [key, alias] = field.split(':');
 
 			let frontmatterGetter = frontmatter[key];
@@ -382,17 +824,36 @@ function populateFrontmatter(posts) {
 				throw `Could not find a frontmatter getter named "${key}".`;
 			}
 
-			post.frontmatter[alias ?? key] = frontmatterGetter(post);
+			post.frontmatter[alias ?? key] = frontmatterGetter(post, config);
+		});
+
+		// terms in custom taxonomies, same as categories and tags
+		config.frontmatterTaxonomies.filter((field) => field !== '').forEach((field) => {
+			const [taxonomy, alias] = field.split(':');
+			post.frontmatter[alias ?? taxonomy] = taxonomies.getPostTerms(post, taxonomy).map((term) => taxonomies.getTermValue(term, config));
 		});
 
+		// old URLs for Hugo to redirect from
+		if (config.redirects.includes('hugo')) {
+			const aliases = redirects.getAliases(post);
+			if (aliases.length > 0) {
+				post.frontmatter.aliases = aliases;
+			}
+		}
+
+		// comments go last, they can get long
+		if (config.comments === 'frontmatter' && post.comments.length > 0) {
+			post.frontmatter.comments = post.comments;
+		}
+
 
 		// Handling for meta fields
-    shared.config.frontmatterMeta.forEach((field) => {
+    config.frontmatterMeta.forEach((field) => {
       // split “metaKey:alias.path” or just “metaKey”
       const [metaKey, rawAlias] = field.split(':').map(s => s.trim());
       const alias = rawAlias || metaKey;
 
-      const value = getPostMetaValue(post.data, metaKey);
+      const value = getPostMetaValue(post.data, metaKey, events);
       if (value !== undefined && value !== null && value !== '') {
         // build the path segments for nested assignment:
         const pathSegments = alias.split('.');
@@ -411,6 +872,6 @@ function prioritizePostType(postTypes, postType) {
 	}
 }
 
-function isAbsoluteUrl(url) {
+export function isAbsoluteUrl(url) {
 	return (/^https?:\/\//i).test(url);
 }
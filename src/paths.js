@@ -0,0 +1,428 @@
+import path from 'path';
+import * as frontmatter from './frontmatter.js';
+import * as processor from './processor.js';
+import * as shared from './shared.js';
+import * as translator from './translator.js';
+
+import { buildTranslationGroups, chooseBaseSlug, isAbsoluteUrl } from './parser.js';
+
+/**
+ * Works out where every post, image, and media file will be saved, resolving collisions where more than one would end
+ * up at the same path. Image and media markers left in converted content are replaced with references to
+ * wherever their files end up.
+ *
+ * @param {Array} posts
+ * @param {Array} images Images found while parsing, attachments among them have IDs to use in file names.
+ * @param {Array} media Media files found while parsing, same as images.
+ * @param {Object} config
+ * @returns {{destinations: Array.<{post: Object, destinationPath: string}>, images: Array.<{url: string, destinationPath: string, variants: Array, links: Array.<string>}>, media: Array.<{url: string, destinationPath: string, links: Array.<string>}>, collisions: Array.<Object>}}
+ *   Each image has variants from processor.getVariants(). Files saved once in the shared folder (see dedupeFiles)
+ *   have links, paths to hardlink or symlink them to in each post's folder, and so can variants. Each collision has a fileType ("post", "image", or "media"),
+ *   the destinationPath everything wanted, and entries with a source (post type and ID, or image URL) and the
+ *   destinationPath it got instead. With collisions set to "fail", nothing is moved.
+ */
+export function planOutput(posts, images, media, config) {
+	const destinations = getPostDestinations(buildGroupMap(posts, config), config);
+	const postCollisions = resolvePostCollisions(destinations, config);
+
+	const imagePlan = planDownloads(destinations, images, 'image', config);
+	const mediaPlan = planDownloads(destinations, media, 'media', config);
+	destinations.forEach(({ post }) => {
+		replaceMarkersInPost(post, imagePlan.filesByPost.get(post), mediaPlan.filesByPost.get(post), config);
+	});
+
+	return {
+		destinations,
+		images: imagePlan.files.map(({ url, destinationPath, variants, links }) => ({ url, destinationPath, variants, links })),
+		media: mediaPlan.files.map(({ url, destinationPath, links }) => ({ url, destinationPath, links })),
+		collisions: [...postCollisions, ...imagePlan.collisions, ...mediaPlan.collisions]
+	};
+}
+
+// one line of text per collision, for the command line
+export function describeCollision(collision, config) {
+	const entries = collision.entries.map((entry) => {
+		return entry.destinationPath === collision.destinationPath
+			? entry.source
+			: `${entry.source} -> ${toOutputPath(entry.destinationPath, config)}`;
+	});
+	const fileTypes = collision.fileType === 'media' ? 'media' : collision.fileType + 's';
+	return `${toOutputPath(collision.destinationPath, config)} (${fileTypes}: ${entries.join(', ')})`;
+}
+
+/**
+ * @param {Array} posts
+ * @param {Object} config
+ * @returns {Object.<string, Array>} A map where each key is a translation-group identifier
+ *   (or a single-post ID) and each value is an array of post objects in that group.
+ */
+function buildGroupMap(posts, config) {
+	// Polylang translation sets need a different approach
+	if (config.polylang) {
+		return buildTranslationGroups(posts);
+	}
+
+	// If not using Polylang, place each post in its own group so the same loops work either way
+	const groupMap = {};
+	for (const post of posts) {
+		groupMap[String(post.id)] = [post];
+	}
+
+	return groupMap;
+}
+
+/**
+ * @param {Object.<string, Array>} groupMap
+ *   A map where each key is a translation-group identifier (or a single-post ID)
+ *   and each value is an array of post objects in that group.
+ * @returns {Array.<{post: Object, destinationPath: string}>}
+ *   Every post paired with the path its Markdown file will be written to, before collisions are resolved.
+ */
+function getPostDestinations(groupMap, config) {
+	const destinations = [];
+
+	for (const [groupKey, postsInGroup] of Object.entries(groupMap)) {
+		// —— Polylang: multiple translations in one group ——
+		if (config.polylang && postsInGroup.length > 1) {
+			// 1) Pick the canonical base slug for the group:
+			const baseSlug = chooseBaseSlug(postsInGroup, config.defaultLanguage);
+
+			// 2) “Fake” a base post so buildPostPath() gives us the right folder path:
+			const fakeBasePost = { ...postsInGroup[0], slug: baseSlug };
+			const basePath = shared.buildPostPath(fakeBasePost, config);
+			const groupFolder = config.postFolders
+				? path.dirname(basePath)
+				: null;
+
+			// 3) For each translation, compute its destinationPath:
+			for (const post of postsInGroup) {
+				const lang = post.polylang.language || 'und';
+				let destinationPath;
+
+				if (config.postFolders) {
+					// inside the group folder, name it "index.<lang>.md"
+					destinationPath = path.join(groupFolder, `index.${lang}${config.profile.fileExtension}`);
+				} else {
+					// no per-post folders: fake a slug with the language appended
+					const fakeLangPost = { ...post, slug: `${baseSlug}.${lang}` };
+					destinationPath = shared.buildPostPath(fakeLangPost, config);
+				}
+
+				destinations.push({ post, destinationPath });
+			}
+
+		} else {
+			// —— Single-post (no translations) or Polylang disabled ——
+			for (const post of postsInGroup) {
+				destinations.push({ post, destinationPath: shared.buildPostPath(post, config) });
+			}
+		}
+	}
+
+	return destinations;
+}
+
+function getImagesDir(postFolder, config) {
+	// images go next to the post, unless the profile has a folder for all of them
+	if (config.profile.imageFolder) {
+		return path.join(config.output, config.profile.imageFolder);
+	}
+
+	return path.join(postFolder, 'images');
+}
+
+function getMediaDir(postFolder, config) {
+	// same idea as images, with their own folder
+	if (config.profile.mediaFolder) {
+		return path.join(config.output, config.profile.mediaFolder);
+	}
+
+	return path.join(postFolder, 'media');
+}
+
+function resolvePostCollisions(destinations, config) {
+	const collisions = [];
+	const takenPaths = new Set(destinations.map((destination) => toCollisionKey(destination.destinationPath)));
+
+	for (const colliding of findColliding(destinations)) {
+		const originalPath = colliding[0].destinationPath;
+
+		// the first post keeps its path, the rest get their ID added (posts don't have upload folders to nest by)
+		if (config.collisions !== 'fail') {
+			colliding.slice(1).forEach((destination) => {
+				destination.destinationPath = findFreePath(addSuffix(originalPath, destination.post.id), takenPaths);
+			});
+		}
+
+		collisions.push({
+			fileType: 'post',
+			destinationPath: originalPath,
+			entries: colliding.map(({ post, destinationPath }) => ({ source: `${post.type} ${post.id}`, destinationPath }))
+		});
+	}
+
+	return collisions;
+}
+
+// images and media files are planned the same way, except images can be processed into another format
+function planDownloads(destinations, downloads, fileType, config) {
+	const attachmentIds = Object.fromEntries(downloads.filter((download) => download.id !== 'nope').map((download) => [download.url, download.id]));
+	const imageSizes = Object.fromEntries(downloads.filter((download) => download.size).map((download) => [download.url, download.size]));
+	const sharedDir = getSharedDir(fileType, config);
+
+	// each file is saved once per folder, no matter how many posts in it use the file
+	const plannedFiles = [];
+	const plannedByKey = {};
+	const postUses = [];
+	for (const { post, destinationPath } of destinations) {
+		const postFolder = path.dirname(destinationPath);
+		const postDir = fileType === 'image' ? getImagesDir(postFolder, config) : getMediaDir(postFolder, config);
+		const baseDir = sharedDir || postDir;
+		for (const url of fileType === 'image' ? post.imageUrls : post.mediaUrls) {
+			const key = baseDir + '\n' + url;
+			if (!plannedByKey[key]) {
+				plannedByKey[key] = { url, baseDir, size: imageSizes[url] };
+				if (fileType === 'image') {
+					const filename = processor.getProcessedFilename(shared.getFilenameFromUrl(url), config);
+					setFilePath(plannedByKey[key], '', filename, processor.getProcessedFilename(getRawFilename(url), config));
+				} else {
+					setFilePath(plannedByKey[key], '', shared.getFilenameFromUrl(url), getRawFilename(url));
+				}
+				plannedFiles.push(plannedByKey[key]);
+			}
+			postUses.push({ post, postFolder, postDir, file: plannedByKey[key] });
+		}
+	}
+
+	const collisions = [];
+	const takenPaths = new Set(plannedFiles.map((file) => toCollisionKey(file.destinationPath)));
+	for (const colliding of findColliding(plannedFiles)) {
+		const originalPath = colliding[0].destinationPath;
+
+		if (config.collisions === 'nest') {
+			// all of them move into the folders they were uploaded to, like "2024/05"
+			colliding.forEach((file) => {
+				const uploadFolder = getUploadFolder(file.url);
+				if (uploadFolder) {
+					setFilePath(file, uploadFolder, file.filename, file.rawFilename);
+					takenPaths.add(toCollisionKey(file.destinationPath));
+				}
+			});
+		}
+
+		if (config.collisions !== 'fail') {
+			// anything still colliding (every one but the first, for "suffix") gets its attachment ID added
+			findColliding(colliding).forEach((stillColliding) => {
+				stillColliding.slice(1).forEach((file, index) => {
+					const baseSuffix = attachmentIds[file.url] ?? String(index + 2);
+					let suffix = baseSuffix;
+					for (let count = 2; takenPaths.has(toCollisionKey(path.join(file.baseDir, file.folder, addSuffix(file.filename, suffix)))); count++) {
+						suffix = `${baseSuffix}-${count}`;
+					}
+					setFilePath(file, file.folder, addSuffix(file.filename, suffix), addSuffix(file.rawFilename, suffix));
+					takenPaths.add(toCollisionKey(file.destinationPath));
+				});
+			});
+		}
+
+		collisions.push({
+			fileType,
+			destinationPath: originalPath,
+			entries: colliding.map(({ url, destinationPath }) => ({ source: url, destinationPath }))
+		});
+	}
+
+	// smaller copies of images for srcset go next to wherever each image ended up
+	plannedFiles.forEach((file) => {
+		file.variants = fileType === 'image' ? processor.getVariants(file, config) : [];
+		file.links = [];
+		file.variants.forEach((variant) => {
+			variant.links = [];
+		});
+	});
+
+	const filesByPost = new Map(destinations.map(({ post }) => [post, new Map()]));
+	for (const { post, postFolder, postDir, file } of postUses) {
+		if (!sharedDir) {
+			filesByPost.get(post).set(file.url, file);
+		} else if (config.dedupeFiles === 'shared') {
+			filesByPost.get(post).set(file.url, getSharedFileForPost(file, postFolder));
+		} else {
+			// a link in the post's usual folder, with the same path as the shared file has within the shared folder
+			addLink(file, path.join(postDir, file.folder, file.filename));
+			file.variants.forEach((variant) => addLink(variant, path.join(postDir, path.relative(file.baseDir, variant.destinationPath))));
+			filesByPost.get(post).set(file.url, file);
+		}
+	}
+
+	return { files: plannedFiles, filesByPost, collisions };
+}
+
+function getSharedDir(fileType, config) {
+	// files already go in one folder for everything when the profile has one
+	const profileFolder = fileType === 'image' ? config.profile.imageFolder : config.profile.mediaFolder;
+	if (config.dedupeFiles === 'none' || profileFolder) {
+		return '';
+	}
+
+	return path.join(config.output, config.sharedFolder, fileType === 'image' ? 'images' : 'media');
+}
+
+// the same shared file, but referenced by its path relative to the post
+function getSharedFileForPost(file, postFolder) {
+	const relativeDir = path.relative(postFolder, file.baseDir).split(path.sep).join('/');
+	return {
+		...file,
+		isShared: true,
+		savedName: `${relativeDir}/${file.savedName}`,
+		reference: `${relativeDir}/${file.reference}`,
+		variants: file.variants.map((variant) => ({ ...variant, reference: `${relativeDir}/${variant.reference}` }))
+	};
+}
+
+function addLink(file, linkPath) {
+	if (!file.links.includes(linkPath)) {
+		file.links.push(linkPath);
+	}
+}
+
+// filename is for saving, rawFilename is as it appears in the URL, for references in content
+function setFilePath(file, folder, filename, rawFilename) {
+	Object.assign(file, {
+		folder,
+		filename,
+		rawFilename,
+		destinationPath: path.join(file.baseDir, folder, filename),
+		savedName: folder ? `${folder}/${filename}` : filename,
+		reference: folder ? `${folder}/${rawFilename}` : rawFilename
+	});
+}
+
+function replaceMarkersInPost(post, postImages, postMedia, config) {
+	const getUrl = (src) => !isAbsoluteUrl(src) && isAbsoluteUrl(post.link) ? new URL(src, post.link).href : src;
+
+	const imageReplacer = (src) => {
+		const url = getUrl(src);
+		const image = postImages.get(post.originalImageUrls[url] ?? url);
+		return image ? getPrefix(image, config.profile.imagePrefix) + image.reference : config.profile.imagePrefix + getRawFilename(src);
+	};
+
+	// media files that aren't being saved keep their original URL
+	const mediaReplacer = (src) => {
+		const mediaFile = postMedia.get(getUrl(src));
+		return mediaFile ? getPrefix(mediaFile, config.profile.mediaPrefix) + mediaFile.reference : src;
+	};
+
+	const replace = (content) => {
+		const replacedContent = translator.replaceMediaMarkers(translator.replaceImageMarkers(content, imageReplacer), mediaReplacer);
+		return addSrcsets(replacedContent, postImages, config);
+	};
+
+	post.content = replace(post.content);
+	Object.keys(post.metaContent).forEach((key) => {
+		post.metaContent[key] = replace(post.metaContent[key]);
+	});
+
+	const replaceInComments = (comments) => comments.forEach((comment) => {
+		comment.content = replace(comment.content);
+		replaceInComments(comment.replies);
+	});
+	replaceInComments(post.comments);
+
+	// frontmatter was populated while parsing, before the cover image could have been moved
+	const coverImage = postImages.get(post.coverImageUrl);
+	if (coverImage && coverImage.savedName !== post.coverImage) {
+		post.coverImage = coverImage.savedName;
+		post.isCoverImageShared = Boolean(coverImage.isShared);
+		config.frontmatterFields.forEach((field) => {
+			const [key, alias] = field.split(':');
+			if (key === 'coverImage') {
+				post.frontmatter[alias ?? key] = frontmatter.coverImage(post, config);
+			}
+		});
+	}
+}
+
+// Markdown images can't have a srcset, but <img> tags left in content can
+function addSrcsets(content, postImages, config) {
+	const imagesBySrc = new Map([...postImages.values()].map((image) => [getPrefix(image, config.profile.imagePrefix) + image.reference, image]));
+	return content.replace(/<img(?=\s)[^>]*>/gi, (tag) => {
+		const src = tag.match(/(?<=\s)src="([^"]*)"/i)?.[1];
+		const image = imagesBySrc.get(src);
+		if (!image || image.variants.length === 0 || /(?<=\s)srcset=/i.test(tag)) {
+			return tag;
+		}
+
+		return tag.replace(/(?<=\s)src="[^"]*"/i, (match) => `${match} srcset="${processor.buildSrcset(image.variants, getPrefix(image, config.profile.imagePrefix))}"`);
+	});
+}
+
+// shared files are referenced by their path relative to the post, which doesn't need the profile's prefix
+function getPrefix(file, prefix) {
+	return file.isShared ? '' : prefix;
+}
+
+// groups of items that share a destinationPath, some file systems ignore case so that does too
+function findColliding(items) {
+	const itemsByKey = {};
+	items.forEach((item) => {
+		const key = toCollisionKey(item.destinationPath);
+		itemsByKey[key] ??= [];
+		itemsByKey[key].push(item);
+	});
+
+	return Object.values(itemsByKey).filter((group) => group.length > 1);
+}
+
+function toCollisionKey(destinationPath) {
+	return path.normalize(destinationPath).toLowerCase();
+}
+
+function findFreePath(candidatePath, takenPaths) {
+	let freePath = candidatePath;
+	for (let count = 2; takenPaths.has(toCollisionKey(freePath)); count++) {
+		freePath = addSuffix(candidatePath, count);
+	}
+
+	takenPaths.add(toCollisionKey(freePath));
+	return freePath;
+}
+
+// "my-post.md" becomes "my-post-123.md", and "my-post/index.md" becomes "my-post-123/index.md"
+function addSuffix(filePath, suffix) {
+	const folder = path.dirname(filePath);
+	const filename = path.basename(filePath);
+	if (/^index(\.|$)/.test(filename) && folder !== '.') {
+		return path.join(`${folder}-${suffix}`, filename);
+	}
+
+	// before the first dot, so "my-post.en.md" becomes "my-post-123.en.md"
+	const dotIndex = filename.indexOf('.', 1);
+	const name = dotIndex === -1 ? filename : filename.slice(0, dotIndex);
+	const extension = dotIndex === -1 ? '' : filename.slice(dotIndex);
+	return path.join(folder, `${name}-${suffix}${extension}`);
+}
+
+// the file name as it appears in the URL, which is how content has always referenced images
+function getRawFilename(url) {
+	return url.split('?')[0].split('/').slice(-1)[0];
+}
+
+// like "2024/05" for an image in WordPress's uploads folder, otherwise whatever folders the URL has
+function getUploadFolder(url) {
+	let pathname;
+	try {
+		pathname = new URL(url).pathname;
+	} catch {
+		return '';
+	}
+
+	const uploadsIndex = pathname.lastIndexOf('/uploads/');
+	const folderPath = path.posix.dirname(uploadsIndex === -1 ? pathname : pathname.slice(uploadsIndex + '/uploads/'.length));
+	return folderPath.split('/').filter((segment) => segment && segment !== '.' && segment !== '..').join('/');
+}
+
+function toOutputPath(destinationPath, config) {
+	// relative to the output folder, same on every OS
+	return path.relative(config.output, destinationPath).split(path.sep).join('/');
+}
@@ -0,0 +1,113 @@
+import path from 'path';
+import sharp from 'sharp';
+
+// file types that can be processed, anything else (like GIFs, which may be animated) is saved as downloaded
+const processableExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tif', '.tiff'];
+
+export function isProcessingEnabled(config) {
+	return config.imageMaxSize > 0 || config.imageFormat !== 'original' || config.stripImageMetadata || config.imageSrcset.length > 0;
+}
+
+export function isProcessable(filename, config) {
+	return isProcessingEnabled(config) && processableExtensions.includes(path.extname(filename).toLowerCase());
+}
+
+// "photo.jpg" becomes "photo.webp" when converting to WebP, works on file names and references alike
+export function getProcessedFilename(filename, config) {
+	if (config.imageFormat === 'original' || !isProcessable(filename, config)) {
+		return filename;
+	}
+
+	const extension = path.extname(filename);
+	return filename.slice(0, -extension.length) + '.' + config.imageFormat;
+}
+
+/**
+ * @param {{filename: string, destinationPath: string, reference: string, size: ({width: number, height: number}|undefined)}} image
+ *   A planned image, see paths.planOutput().
+ * @param {Object} config
+ * @returns {Array.<{width: number, destinationPath: string, reference: string}>} Smaller copies to save
+ *   next to the image, like "photo-480w.webp", empty if none were asked for. Only widths smaller than the
+ *   saved image are included, so images with an unknown size don't get any.
+ */
+export function getVariants(image, config) {
+	if (!isProcessable(image.filename, config) || !image.size) {
+		return [];
+	}
+
+	// images are never enlarged, so a copy at any other width would be the same as the image, but labeled wrong
+	const savedWidth = getSavedWidth(image.size, config);
+	return config.imageSrcset.filter((width) => width < savedWidth).map((width) => ({
+		width,
+		destinationPath: addWidth(image.destinationPath, width),
+		reference: addWidth(image.reference, width)
+	}));
+}
+
+// value for an <img> tag's srcset attribute, references are given the same prefix as the image's src
+export function buildSrcset(variants, prefix) {
+	return variants.map((variant) => `${prefix}${variant.reference} ${variant.width}w`).join(', ');
+}
+
+/**
+ * Resizes, converts, and strips metadata from a downloaded image, as configured.
+ *
+ * @param {Buffer} buffer The image as downloaded.
+ * @param {Array.<{width: number}>} variants From getVariants().
+ * @param {Object} config
+ * @returns {Promise<{data: Buffer, variants: Array.<Buffer>}>} The processed image, and each variant in the same order.
+ */
+export async function processImagePromise(buffer, variants, config) {
+	// the image is left exactly as downloaded if only variants are wanted
+	const isUnchanged = config.imageMaxSize === 0 && config.imageFormat === 'original' && !config.stripImageMetadata;
+	const data = isUnchanged ? buffer : await buildPipeline(buffer, config.imageMaxSize, config).toBuffer();
+
+	const variantData = [];
+	for (const variant of variants) {
+		const width = config.imageMaxSize > 0 ? Math.min(variant.width, config.imageMaxSize) : variant.width;
+		variantData.push(await buildPipeline(buffer, width, config).toBuffer());
+	}
+
+	return { data, variants: variantData };
+}
+
+// width of the image once it's been shrunk to fit the max size (if there is one)
+function getSavedWidth(size, config) {
+	if (config.imageMaxSize === 0) {
+		return size.width;
+	}
+
+	const scale = Math.min(1, config.imageMaxSize / size.width, config.imageMaxSize / size.height);
+	return Math.round(size.width * scale);
+}
+
+// maxSize limits both width and height, and images are never enlarged
+function buildPipeline(buffer, maxSize, config) {
+	// turned upright first, since the orientation in its metadata could be stripped
+	let pipeline = sharp(buffer).autoOrient();
+
+	if (maxSize > 0) {
+		pipeline = pipeline.resize({
+			width: maxSize,
+			height: config.imageMaxSize > 0 ? config.imageMaxSize : undefined,
+			fit: 'inside',
+			withoutEnlargement: true
+		});
+	}
+
+	if (!config.stripImageMetadata) {
+		pipeline = pipeline.keepMetadata();
+	}
+
+	if (config.imageFormat !== 'original') {
+		pipeline = pipeline.toFormat(config.imageFormat);
+	}
+
+	return pipeline;
+}
+
+// "images/photo.webp" becomes "images/photo-480w.webp"
+function addWidth(filePath, width) {
+	const extension = path.extname(filePath);
+	return filePath.slice(0, -extension.length) + `-${width}w` + extension;
+}
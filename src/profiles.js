@@ -0,0 +1,208 @@
+import fs from 'fs';
+import path from 'path';
+
+// settings for the default profile, which is how output has always been done
+// other profiles only need to specify what's different
+const defaultProfile = {
+	// options that would otherwise have their usual default values, can still be set on the command line
+	options: {},
+
+	// folder for each post type, "*" is used for all other custom post types with {type} as a placeholder
+	typeFolders: {
+		post: 'posts',
+		page: 'pages',
+		'*': 'custom/{type}'
+	},
+
+	// "folder" puts drafts in draftFolder, "frontmatter" leaves them in place, "skip" leaves them out
+	drafts: 'folder',
+
+	// relative to the post type folder, or to the output folder if it starts with "/"
+	draftFolder: '_drafts',
+
+	// post types that the prefix-date option applies to, "*" for all of them
+	prefixDateTypes: ['*'],
+
+	// folder (relative to the output folder) the site generator serves content from, left out of permalinks
+	contentFolder: '',
+
+	// permalink pattern for each post type, "*" for all others, for site generators whose URLs don't follow
+	// the folder structure (see buildPostPermalink() for placeholders)
+	permalinks: {},
+
+	// empty to save images next to each post, otherwise a folder (relative to the output folder) shared by all posts
+	imageFolder: '',
+
+	// what goes in front of image filenames in post content and the coverImage frontmatter field
+	imagePrefix: 'images/',
+	coverImagePrefix: '',
+
+	// same as imageFolder and imagePrefix, for media files (PDFs, audio, video, and so on)
+	mediaFolder: '',
+	mediaPrefix: 'media/',
+
+	// syntax for components, used by --append-meta and for "component" in the shortcode map
+	componentSyntax: 'mdc',
+
+	fileExtension: '.md'
+};
+
+const builtInProfiles = {
+	default: {},
+	astro: {
+		options: {
+			frontmatterFields: 'title,date:pubDate,excerpt:description,coverImage:heroImage,tags,draft'
+		},
+		typeFolders: {
+			post: 'src/content/blog',
+			page: 'src/content/pages',
+			'*': 'src/content/{type}'
+		},
+		contentFolder: 'src/content',
+		drafts: 'frontmatter',
+		imagePrefix: './images/',
+		coverImagePrefix: './images/',
+		mediaPrefix: './media/',
+		componentSyntax: 'jsx',
+		fileExtension: '.mdx'
+	},
+	eleventy: {
+		options: {
+			frontmatterFields: 'title,date,tags,coverImage:image,draft'
+		},
+		typeFolders: {
+			post: 'posts',
+			page: 'pages',
+			'*': '{type}'
+		},
+		drafts: 'frontmatter',
+		componentSyntax: 'nunjucks'
+	},
+	hugo: {
+		options: {
+			frontmatterFields: 'title,date,slug,categories,tags,coverImage:featured_image,draft',
+			includeTime: true
+		},
+		typeFolders: {
+			post: 'content/posts',
+			page: 'content',
+			'*': 'content/{type}'
+		},
+		contentFolder: 'content',
+		drafts: 'frontmatter',
+		componentSyntax: 'hugo'
+	},
+	jekyll: {
+		options: {
+			postFolders: false,
+			prefixDate: true,
+			frontmatterFields: 'title,date,categories,tags,coverImage:image',
+			includeTime: true
+		},
+		typeFolders: {
+			post: '_posts',
+			page: '',
+			'*': '_{type}'
+		},
+		draftFolder: '/_drafts',
+		prefixDateTypes: ['post'],
+		permalinks: {
+			// Jekyll's default "date" style for posts, and its defaults for pages and collections
+			post: '/{categories}/{year}/{month}/{day}/{slug}.html',
+			page: '/{path}.html',
+			'*': '/{type}/{slug}.html'
+		},
+		imageFolder: 'assets/images',
+		imagePrefix: '/assets/images/',
+		coverImagePrefix: '/assets/images/',
+		mediaFolder: 'assets/media',
+		mediaPrefix: '/assets/media/',
+		componentSyntax: 'liquid'
+	},
+	nuxt: {
+		options: {
+			frontmatterFields: 'title,date,excerpt:description,categories,tags,coverImage:image,draft'
+		},
+		typeFolders: {
+			post: 'content/posts',
+			page: 'content/pages',
+			'*': 'content/{type}'
+		},
+		contentFolder: 'content',
+		drafts: 'frontmatter'
+	}
+};
+
+export const builtInNames = Object.keys(builtInProfiles);
+
+// same as the component types in the shortcode map
+const componentSyntaxes = ['mdc', 'hugo', 'nunjucks', 'liquid', 'jsx'];
+
+/**
+ * Loads a profile, filling in anything it doesn't specify from the default profile.
+ *
+ * @param {string|Object} nameOrPath Name of a built-in profile, path to a JSON file with a custom profile,
+ *   or a custom profile object (from a config file). A custom profile can use "extends" to build on top
+ *   of a built-in profile.
+ * @returns {Object}
+ */
+export function load(nameOrPath) {
+	let profile;
+	if (typeof nameOrPath === 'object') {
+		profile = resolveCustomProfile(nameOrPath, 'in config file');
+	} else if (Object.hasOwn(builtInProfiles, nameOrPath)) {
+		profile = builtInProfiles[nameOrPath];
+	} else {
+		profile = loadCustomProfile(nameOrPath);
+	}
+
+	return {
+		...defaultProfile,
+		...profile,
+		name: profile.name ?? (typeof nameOrPath === 'object' ? 'custom' : path.basename(nameOrPath, '.json')),
+		options: { ...defaultProfile.options, ...profile.options },
+		typeFolders: { ...defaultProfile.typeFolders, ...profile.typeFolders },
+		permalinks: { ...defaultProfile.permalinks, ...profile.permalinks }
+	};
+}
+
+function loadCustomProfile(filePath) {
+	let customProfile;
+	try {
+		customProfile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch (ex) {
+		ex.message = `Could not read profile ${filePath}.\n\n` + ex.message;
+		throw ex;
+	}
+
+	return resolveCustomProfile(customProfile, filePath);
+}
+
+// label says where the profile came from, for error messages
+function resolveCustomProfile(customProfile, label) {
+	const { extends: extendsName, ...overrides } = customProfile;
+	if (extendsName !== undefined && !Object.hasOwn(builtInProfiles, extendsName)) {
+		throw new Error(`Profile ${label} extends unknown profile "${extendsName}". Must be any of: ${builtInNames.join(', ')}.`);
+	}
+
+	if (overrides.drafts !== undefined && !['folder', 'frontmatter', 'skip'].includes(overrides.drafts)) {
+		throw new Error(`Profile ${label} has unknown drafts setting "${overrides.drafts}". Must be any of: folder, frontmatter, skip.`);
+	}
+
+	if (overrides.prefixDateTypes !== undefined && !Array.isArray(overrides.prefixDateTypes)) {
+		throw new Error(`Profile ${label} has prefixDateTypes that isn't an array of post types.`);
+	}
+
+	if (overrides.componentSyntax !== undefined && !componentSyntaxes.includes(overrides.componentSyntax)) {
+		throw new Error(`Profile ${label} has unknown componentSyntax "${overrides.componentSyntax}". Must be any of: ${componentSyntaxes.join(', ')}.`);
+	}
+
+	const baseProfile = builtInProfiles[extendsName] ?? {};
+	return {
+		...baseProfile,
+		...overrides,
+		options: { ...baseProfile.options, ...overrides.options },
+		typeFolders: { ...baseProfile.typeFolders, ...overrides.typeFolders },
+		permalinks: { ...baseProfile.permalinks, ...overrides.permalinks }
+	};
+}
@@ -6,8 +6,8 @@ export function load() {
 	return [
 		{
 			name: 'input',
-			type: 'file-path',
-			description: 'Path to WordPress export file',
+			type: 'file-paths',
+			description: 'Path to WordPress export file(s)',
 			default: 'export.xml',
 			prompt: inquirer.input
 		},
@@ -94,6 +94,18 @@ export function load() {
 			],
 			prompt: inquirer.select
 		},
+		{
+			name: 'config',
+			type: 'optional-file-path',
+			description: 'Path to config file (.json, .js, or .yaml)',
+			default: ''
+		},
+		{
+			name: 'profile',
+			type: 'profile',
+			description: 'Output profile (default, astro, eleventy, hugo, jekyll, nuxt, or path to JSON file)',
+			default: 'default'
+		},
 		{
 			name: 'wizard',
 			type: 'boolean',
@@ -119,12 +131,123 @@ export function load() {
 			// e.g. 'rank_math_seo_score,rank_math_contentai_score'
 			default: []
 		},
+		{
+			name: 'frontmatter-format',
+			type: 'choice',
+			description: 'Frontmatter format',
+			default: 'yaml',
+			choices: [
+				{
+					name: 'YAML',
+					value: 'yaml'
+				},
+				{
+					name: 'TOML',
+					value: 'toml'
+				},
+				{
+					name: 'JSON',
+					value: 'json'
+				}
+			]
+		},
+		{
+			name: 'frontmatter-taxonomies',
+			type: 'list',
+			description: 'Custom taxonomies to add to frontmatter',
+			// e.g. 'genre,product_cat:productCategories'
+			default: []
+		},
+		{
+			name: 'taxonomy-names',
+			type: 'choice',
+			description: 'Categories, tags, and other terms in frontmatter as',
+			default: 'slug',
+			choices: [
+				{
+					name: 'Slugs',
+					value: 'slug'
+				},
+				{
+					name: 'Display names',
+					value: 'name'
+				}
+			]
+		},
+		{
+			name: 'taxonomy-file',
+			type: 'taxonomy-file-path',
+			description: 'Path in the output folder to save categories, tags, and other terms to (.json or .yaml)',
+			default: ''
+		},
+		{
+			name: 'author-key',
+			type: 'choice',
+			description: 'Author in frontmatter as',
+			default: 'login',
+			choices: [
+				{
+					name: 'Login',
+					value: 'login'
+				},
+				{
+					name: 'Slug',
+					value: 'slug'
+				},
+				{
+					name: 'Display name',
+					value: 'name'
+				}
+			]
+		},
+		{
+			name: 'authors',
+			type: 'choice',
+			description: 'Save author profiles',
+			default: 'none',
+			choices: [
+				{
+					name: 'In a JSON file for each author',
+					value: 'json'
+				},
+				{
+					name: 'In a YAML file for each author',
+					value: 'yaml'
+				},
+				{
+					name: 'In a Markdown page for each author',
+					value: 'markdown'
+				},
+				{
+					name: 'No',
+					value: 'none'
+				}
+			]
+		},
+		{
+			name: 'authors-folder',
+			type: 'relative-folder-path',
+			description: 'Folder in the output folder for author profiles',
+			default: 'authors'
+		},
 		{
 			name: 'append-meta',
 			type: 'list',
 			description: 'Meta fields to apend to the content as MDC components',
 			default: []
 		},
+		{
+			name: 'convert-blocks',
+			type: 'boolean',
+			description: 'Convert block editor blocks to Markdown',
+			default: false
+		},
+		{
+			name: 'shortcode-map',
+			type: 'shortcode-map',
+			description: 'Path to shortcode map JSON file',
+			default: ''
+		},
     {
       name: 'strip-shortcodes',
       type: 'boolean',
@@ -168,12 +291,258 @@ export function load() {
       description: 'Exclude posts in these categories',
       default: [],
     },
+		{
+			name: 'rewrite-links',
+			type: 'choice',
+			description: 'Rewrite links between posts',
+			default: 'none',
+			choices: [
+				{
+					name: 'Relative path to Markdown file',
+					value: 'relative'
+				},
+				{
+					name: 'Permalink from site root',
+					value: 'permalink'
+				},
+				{
+					name: 'Hugo ref shortcode',
+					value: 'hugo-ref'
+				},
+				{
+					name: 'No',
+					value: 'none'
+				}
+			]
+		},
+		{
+			name: 'redirects',
+			type: 'redirect-formats',
+			description: 'Redirect formats for old URLs (netlify, nginx, apache, vercel, hugo)',
+			default: []
+		},
+		{
+			name: 'comments',
+			type: 'choice',
+			description: 'Save approved comments',
+			default: 'none',
+			choices: [
+				{
+					name: 'In frontmatter',
+					value: 'frontmatter'
+				},
+				{
+					name: 'In a JSON file next to each post',
+					value: 'json'
+				},
+				{
+					name: 'In a Markdown file next to each post',
+					value: 'markdown'
+				},
+				{
+					name: 'No',
+					value: 'none'
+				}
+			]
+		},
+		{
+			name: 'sync',
+			type: 'choice',
+			description: 'Sync posts with previous output',
+			default: 'none',
+			choices: [
+				{
+					name: 'Update new, modified, and moved posts',
+					value: 'update'
+				},
+				{
+					name: 'Same, plus delete posts that were removed',
+					value: 'mirror'
+				},
+				{
+					name: 'No',
+					value: 'none'
+				}
+			]
+		},
+		{
+			name: 'collisions',
+			type: 'choice',
+			description: 'How to resolve posts or images with the same path',
+			default: 'suffix',
+			choices: [
+				{
+					name: 'Add post or attachment ID to file name',
+					value: 'suffix'
+				},
+				{
+					name: 'Put images into their upload folders',
+					value: 'nest'
+				},
+				{
+					name: 'Stop without saving anything',
+					value: 'fail'
+				}
+			]
+		},
+		{
+			name: 'prefer-original-images',
+			type: 'boolean',
+			description: 'Save original uploads instead of resized copies',
+			default: false
+		},
+		{
+			name: 'image-max-size',
+			type: 'integer',
+			description: 'Max width and height of saved images (0 for no resizing)',
+			default: 0
+		},
+		{
+			name: 'image-format',
+			type: 'choice',
+			description: 'Format to convert saved images to',
+			default: 'original',
+			choices: [
+				{
+					name: 'Keep original format',
+					value: 'original'
+				},
+				{
+					name: 'WebP',
+					value: 'webp'
+				},
+				{
+					name: 'AVIF',
+					value: 'avif'
+				}
+			]
+		},
+		{
+			name: 'strip-image-metadata',
+			type: 'boolean',
+			description: 'Strip metadata from saved images',
+			default: false
+		},
+		{
+			name: 'image-srcset',
+			type: 'image-widths',
+			description: 'Widths of smaller copies to save for each image',
+			default: []
+		},
+		{
+			name: 'save-media',
+			type: 'choice',
+			description: 'Save media files (PDFs, audio, video, and so on)',
+			default: 'none',
+			choices: [
+				{
+					name: 'Media files attached to posts',
+					value: 'attached'
+				},
+				{
+					name: 'Media files linked from post body content',
+					value: 'scraped'
+				},
+				{
+					name: 'All media files',
+					value: 'all'
+				},
+				{
+					name: 'No',
+					value: 'none'
+				}
+			]
+		},
+		{
+			name: 'media-extensions',
+			type: 'file-extensions',
+			description: 'File extensions of media files to save',
+			default: 'pdf,doc,docx,xls,xlsx,ppt,pptx,odt,ods,odp,rtf,txt,csv,zip,mp3,m4a,ogg,oga,wav,flac,mp4,m4v,mov,webm,ogv,svg,avif'
+		},
+		{
+			name: 'media-source',
+			type: 'media-source',
+			description: 'Path to a local copy of the uploads folder (folder, .zip, .tar, or .tar.gz)',
+			default: ''
+		},
+		{
+			name: 'media-source-fallback',
+			type: 'boolean',
+			description: 'Download files missing from the media source',
+			default: false
+		},
+		{
+			name: 'dedupe-files',
+			type: 'choice',
+			description: 'Save images and media files used by more than one post only once',
+			default: 'none',
+			choices: [
+				{
+					name: 'In a shared folder, referenced by relative path',
+					value: 'shared'
+				},
+				{
+					name: 'In a shared folder, hardlinked into each post\'s folder',
+					value: 'hardlink'
+				},
+				{
+					name: 'In a shared folder, symlinked into each post\'s folder',
+					value: 'symlink'
+				},
+				{
+					name: 'No',
+					value: 'none'
+				}
+			]
+		},
+		{
+			name: 'shared-folder',
+			type: 'relative-folder-path',
+			description: 'Folder in the output folder for deduped files',
+			default: 'shared'
+		},
+		{
+			name: 'dry-run',
+			type: 'boolean',
+			description: 'Show what would be done without saving any files',
+			default: false
+		},
+		{
+			name: 'report',
+			type: 'report-path',
+			description: 'Path to save a report to (.json or .html)',
+			default: ''
+		},
 		{
 			name: 'request-delay',
 			type: 'integer',
-			description: 'Delay between image file requests',
+			description: 'Delay between file requests to the same host',
 			default: 500
 		},
+		{
+			name: 'download-concurrency',
+			type: 'integer',
+			description: 'Max number of files to download at once',
+			default: 4
+		},
+		{
+			name: 'download-retries',
+			type: 'integer',
+			description: 'Times to retry a download after a server or network error',
+			default: 3
+		},
+		{
+			name: 'request-timeout',
+			type: 'integer',
+			description: 'Time to wait for a server response (0 for no limit)',
+			default: 30000
+		},
+		{
+			name: 'retry-failed',
+			type: 'boolean',
+			description: 'Only retry downloads that failed last time',
+			default: false
+		},
 		{
 			name: 'write-delay',
 			type: 'integer',
@@ -209,6 +578,42 @@ export function load() {
 			type: 'boolean',
 			description: 'Use strict SSL',
 			default: true
+		},
+		{
+			name: 'ca-file',
+			type: 'optional-file-path',
+			description: 'Path to extra trusted certificates for SSL',
+			default: ''
+		},
+		{
+			name: 'proxy',
+			type: 'proxy-url',
+			description: 'Proxy to download files through',
+			default: ''
+		},
+		{
+			name: 'request-headers',
+			type: 'request-headers',
+			description: 'Extra headers to send with file requests',
+			default: ''
+		},
+		{
+			name: 'request-auth',
+			type: 'request-auth',
+			description: 'Auth to send with file requests',
+			default: ''
+		},
+		{
+			name: 'cookie-file',
+			type: 'optional-file-path',
+			description: 'Path to cookies file to send cookies from',
+			default: ''
+		},
+		{
+			name: 'download-url-rewrites',
+			type: 'url-rewrites',
+			description: 'URLs to download files from instead',
+			default: ''
 		}
 	];
 }
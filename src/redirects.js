@@ -0,0 +1,153 @@
+import * as shared from './shared.js';
+
+// redirect file formats, keyed by the value used with --redirects
+const fileFormats = {
+	netlify: {
+		filename: '_redirects',
+		build: buildNetlifyFile
+	},
+	nginx: {
+		filename: 'redirects.nginx.conf',
+		build: buildNginxFile
+	},
+	apache: {
+		filename: '.htaccess',
+		build: buildApacheFile
+	},
+	vercel: {
+		filename: 'vercel.json',
+		build: buildVercelFile
+	}
+};
+
+export const formats = [...Object.keys(fileFormats), 'hugo'];
+
+/**
+ * @param {Array.<{post: Object, destinationPath: string}>} destinations
+ *   Every post paired with the path its Markdown file will be written to.
+ * @param {Object} config
+ * @returns {Array.<{filename: string, content: string}>}
+ *   One redirect file for each selected format (Hugo aliases go in frontmatter instead).
+ */
+export function buildRedirectFiles(destinations, config) {
+	const redirects = buildRedirects(destinations, config);
+
+	return config.redirects
+		.filter((format) => fileFormats[format])
+		.map((format) => ({
+			filename: fileFormats[format].filename,
+			content: fileFormats[format].build(redirects)
+		}));
+}
+
+// old paths for a post, to be used as Hugo aliases (query strings can't be aliased)
+export function getAliases(post) {
+	return getOldUrls(post)
+		.filter((oldUrl) => !oldUrl.query)
+		.map((oldUrl) => oldUrl.path);
+}
+
+function buildRedirects(destinations, config) {
+	const redirects = [];
+	const seen = new Set();
+
+	destinations.forEach(({ post, destinationPath }) => {
+		const to = shared.buildPostPermalink(post, destinationPath, config);
+		getOldUrls(post).forEach((oldUrl) => {
+			const key = oldUrl.path + (oldUrl.query ? '?' + oldUrl.query.key + '=' + oldUrl.query.value : '');
+			if (seen.has(key) || (oldUrl.path === to && !oldUrl.query)) {
+				// already handled, or nothing to redirect
+				return;
+			}
+
+			seen.add(key);
+			redirects.push({ ...oldUrl, to });
+		});
+	});
+
+	return redirects;
+}
+
+function getOldUrls(post) {
+	const oldUrls = [post.link, ...post.attachmentLinks]
+		.map((link) => parseOldUrl(link))
+		.filter((oldUrl) => oldUrl);
+
+	// short links work for any post, page IDs work for pages too
+	oldUrls.push({ path: '/', query: { key: 'p', value: post.id } });
+	if (post.type === 'page') {
+		oldUrls.push({ path: '/', query: { key: 'page_id', value: post.id } });
+	}
+
+	return oldUrls;
+}
+
+function parseOldUrl(link) {
+	let url;
+	try {
+		url = new URL(link);
+	} catch (ex) {
+		return undefined;
+	}
+
+	// links to unpublished posts are short links, those are added separately
+	if (url.search) {
+		return undefined;
+	}
+
+	return { path: url.pathname };
+}
+
+function buildNetlifyFile(redirects) {
+	return redirects.map((redirect) => {
+		const query = redirect.query ? ` ${redirect.query.key}=${redirect.query.value}` : '';
+		return `${redirect.path}${query} ${redirect.to} 301`;
+	}).join('\n') + '\n';
+}
+
+function buildNginxFile(redirects) {
+	// meant to be included in the http block, then used with: if ($redirect_uri) { return 301 $redirect_uri; }
+	const lines = redirects.map((redirect) => {
+		const query = redirect.query ? `?${redirect.query.key}=${redirect.query.value}` : '';
+		return `\t"${redirect.path}${query}" "${redirect.to}";`;
+	});
+
+	return `map $request_uri $redirect_uri {\n${lines.join('\n')}\n}\n`;
+}
+
+function buildApacheFile(redirects) {
+	const lines = ['RewriteEngine On', ''];
+	redirects.forEach((redirect) => {
+		if (redirect.query) {
+			lines.push(`RewriteCond %{QUERY_STRING} ^${redirect.query.key}=${redirect.query.value}$`);
+		}
+
+		// trailing "?" on the target drops the old query string
+		const pattern = '^' + escapeRegExp(redirect.path.replace(/^\//, '')) + '$';
+		lines.push(`RewriteRule ${pattern} ${redirect.to}? [R=301,L]`);
+	});
+
+	return lines.join('\n') + '\n';
+}
+
+function buildVercelFile(redirects) {
+	const vercelRedirects = redirects.map((redirect) => {
+		const vercelRedirect = {
+			source: redirect.path,
+			destination: redirect.to,
+			permanent: true
+		};
+
+		if (redirect.query) {
+			vercelRedirect.has = [{ type: 'query', key: redirect.query.key, value: redirect.query.value }];
+		}
+
+		return vercelRedirect;
+	});
+
+	return JSON.stringify({ redirects: vercelRedirects }, null, '\t') + '\n';
+}
+
+function escapeRegExp(str) {
+	return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
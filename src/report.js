@@ -0,0 +1,173 @@
+import fs from 'fs';
+import path from 'path';
+import * as parser from './parser.js';
+import * as translator from './translator.js';
+
+/**
+ * Builds a report of what a conversion does (or would do, for a dry run).
+ *
+ * @param {Object} parsed What parser.parseFilePromise() returned.
+ * @param {Object} plan What paths.planOutput() returned.
+ * @param {Object} config
+ * @param {Object} [mediaSource] From sources.openPromise(), to check which files it's missing.
+ * @returns {Object}
+ */
+export function buildReport(parsed, plan, config, mediaSource) {
+	const posts = plan.destinations.map(({ post, destinationPath }) => ({
+		id: post.id,
+		type: post.type,
+		title: post.data.childValue('title'),
+		isDraft: post.isDraft,
+		destinationPath: toOutputPath(destinationPath, config),
+		imageCount: post.imageUrls.length
+	}));
+
+	return {
+		posts,
+		images: {
+			found: parsed.images.length,
+			saved: plan.images.length
+		},
+		media: {
+			found: parsed.media.length,
+			saved: plan.media.length
+		},
+		collisions: plan.collisions.map((collision) => ({
+			fileType: collision.fileType,
+			destinationPath: toOutputPath(collision.destinationPath, config),
+			entries: collision.entries.map(({ source, destinationPath }) => ({ source, destinationPath: toOutputPath(destinationPath, config) }))
+		})),
+		missingFromMediaSource: mediaSource ? findMissingFromMediaSource(plan, mediaSource) : undefined,
+		skippedPosts: parsed.skippedPosts,
+		unknownShortcodes: findUnknownShortcodes(parsed.posts, config),
+		unresolvedGalleries: parsed.posts.flatMap((post) => {
+			return post.unresolvedGalleries.map((shortcode) => ({ postId: post.id, shortcode }));
+		}),
+		unserializeFailures: parsed.posts.flatMap((post) => {
+			return parser.findUnserializeFailures(post.data).map((metaKey) => ({ postId: post.id, metaKey }));
+		})
+	};
+}
+
+// the report as lines of plain text, for the command line
+export function buildReportLines(report) {
+	const lines = [];
+	const addSection = (heading, items, buildLine) => {
+		lines.push('', `${heading} (${items.length}):`);
+		lines.push(...(items.length > 0 ? items.map((item) => '  ' + buildLine(item)) : ['  None.']));
+	};
+
+	addSection('Planned paths', report.posts, (post) => `${post.destinationPath} (${post.type} ${post.id}, ${post.imageCount} images${post.isDraft ? ', draft' : ''})`);
+	lines.push('', `Images: ${report.images.found} found, ${report.images.saved} to save.`);
+	lines.push(`Media files: ${report.media.found} found, ${report.media.saved} to save.`);
+	if (report.missingFromMediaSource) {
+		addSection('Missing from media source', report.missingFromMediaSource, (url) => url);
+	}
+	addSection('Path collisions', report.collisions, (collision) => `${collision.destinationPath} (${describeEntries(collision)})`);
+	addSection('Skipped by filters', report.skippedPosts, (post) => `${post.type} ${post.id} "${post.title}" (${post.reason})`);
+	addSection('Unknown shortcodes', report.unknownShortcodes, (shortcode) => `[${shortcode.name}] used ${shortcode.count} times in posts ${shortcode.postIds.join(', ')}`);
+	addSection('Unresolved galleries', report.unresolvedGalleries, (gallery) => `${gallery.shortcode} in post ${gallery.postId}`);
+	addSection('Failed meta unserializations', report.unserializeFailures, (failure) => `"${failure.metaKey}" in post ${failure.postId}`);
+
+	// no leading blank line
+	return lines.slice(1);
+}
+
+export async function writeReportFilePromise(report, filePath) {
+	const content = path.extname(filePath).toLowerCase() === '.json'
+		? JSON.stringify(report, null, '\t') + '\n'
+		: buildReportHtml(report);
+
+	await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+	await fs.promises.writeFile(filePath, content);
+}
+
+// where each colliding file ended up, unless it kept the path
+function describeEntries(collision) {
+	return collision.entries.map(({ source, destinationPath }) => {
+		return destinationPath === collision.destinationPath ? source : `${source} -> ${destinationPath}`;
+	}).join(', ');
+}
+
+// URLs of images and media files that can't be read from the media source, each listed once
+function findMissingFromMediaSource(plan, mediaSource) {
+	const urls = [...plan.images, ...plan.media].map((file) => file.url);
+	return [...new Set(urls)].filter((url) => !mediaSource.has(url));
+}
+
+function findUnknownShortcodes(posts, config) {
+	const shortcodesByName = {};
+	posts.forEach((post) => {
+		translator.findUnmappedShortcodes(post.data.childValue('encoded'), config).forEach((name) => {
+			shortcodesByName[name] ??= { name, count: 0, postIds: [] };
+			shortcodesByName[name].count++;
+			if (!shortcodesByName[name].postIds.includes(post.id)) {
+				shortcodesByName[name].postIds.push(post.id);
+			}
+		});
+	});
+
+	// most used first
+	return Object.values(shortcodesByName).sort((a, b) => b.count - a.count);
+}
+
+function buildReportHtml(report) {
+	const buildTable = (heading, columns, rows) => {
+		const headerCells = columns.map((column) => `<th>${escapeHtml(column)}</th>`).join('');
+		const bodyRows = rows.length > 0
+			? rows.map((row) => '<tr>' + row.map((cell) => `<td>${escapeHtml(String(cell))}</td>`).join('') + '</tr>').join('\n')
+			: `<tr><td colspan="${columns.length}">None.</td></tr>`;
+		return `<h2>${escapeHtml(heading)} (${rows.length})</h2>\n<table>\n<tr>${headerCells}</tr>\n${bodyRows}\n</table>`;
+	};
+
+	const sections = [
+		buildTable('Planned paths', ['Path', 'Type', 'ID', 'Title', 'Images', 'Draft'], report.posts.map((post) => {
+			return [post.destinationPath, post.type, post.id, post.title, post.imageCount, post.isDraft ? 'Yes' : 'No'];
+		})),
+		`<h2>Images</h2>\n<p>${report.images.found} found, ${report.images.saved} to save.</p>`,
+		`<h2>Media files</h2>\n<p>${report.media.found} found, ${report.media.saved} to save.</p>`,
+		report.missingFromMediaSource ? buildTable('Missing from media source', ['URL'], report.missingFromMediaSource.map((url) => [url])) : '',
+		buildTable('Path collisions', ['Path', 'Type', 'Saved as'], report.collisions.map((collision) => {
+			return [collision.destinationPath, collision.fileType, describeEntries(collision)];
+		})),
+		buildTable('Skipped by filters', ['Type', 'ID', 'Title', 'Reason'], report.skippedPosts.map((post) => {
+			return [post.type, post.id, post.title, post.reason];
+		})),
+		buildTable('Unknown shortcodes', ['Shortcode', 'Times used', 'Post IDs'], report.unknownShortcodes.map((shortcode) => {
+			return [`[${shortcode.name}]`, shortcode.count, shortcode.postIds.join(', ')];
+		})),
+		buildTable('Unresolved galleries', ['Shortcode', 'Post ID'], report.unresolvedGalleries.map((gallery) => {
+			return [gallery.shortcode, gallery.postId];
+		})),
+		buildTable('Failed meta unserializations', ['Meta key', 'Post ID'], report.unserializeFailures.map((failure) => {
+			return [failure.metaKey, failure.postId];
+		}))
+	];
+
+	return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Conversion report</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 0.25em 0.5em; text-align: left; }
+</style>
+</head>
+<body>
+<h1>Conversion report</h1>
+${sections.filter((section) => section).join('\n')}
+</body>
+</html>
+`;
+}
+
+function toOutputPath(destinationPath, config) {
+	// relative to the output folder, same on every OS
+	return path.relative(config.output, destinationPath).split(path.sep).join('/');
+}
+
+function escapeHtml(value) {
+	return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
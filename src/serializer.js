@@ -0,0 +1,185 @@
+import * as luxon from 'luxon';
+import * as yaml from 'yaml';
+
+/**
+ * Turns frontmatter values into a frontmatter block in the configured format, with the lines that mark its start
+ * and end ("---" for YAML, "+++" for TOML, and the braces of the object itself for JSON).
+ *
+ * @param {Object} values Frontmatter, keyed by field name.
+ * @param {Object} config
+ * @returns {string} Ending with a line break.
+ */
+export function toFrontmatter(values, config) {
+	if (config.frontmatterFormat === 'toml') {
+		return `+++\n${toToml(values, config)}+++\n`;
+	} else if (config.frontmatterFormat === 'json') {
+		return toJson(values, config);
+	}
+
+	return `---\n${toYaml(values, config)}---\n`;
+}
+
+/**
+ * Turns frontmatter values into YAML, at any depth. Strings are double-quoted (or written as a literal
+ * block when they have line breaks), numbers, booleans, and null are left unquoted, and dates are
+ * formatted with the date options. Top-level values that are empty (undefined, null, an empty string, or
+ * an empty array) are left out, the same as a post that doesn't have a value for a field.
+ *
+ * @param {Object} values Frontmatter, keyed by field name.
+ * @param {Object} config
+ * @returns {string} YAML without the "---" lines around it, ending with a line break (or empty if there are no values).
+ */
+export function toYaml(values, config) {
+	const contents = Object.fromEntries(Object.entries(withoutEmptyValues(values)).map(([key, value]) => [key, toYamlValue(value, config)]));
+
+	if (Object.keys(contents).length === 0) {
+		return '';
+	}
+
+	return new yaml.Document(contents).toString({
+		defaultStringType: 'QUOTE_DOUBLE',
+		defaultKeyType: 'PLAIN',
+
+		// long strings stay on one line
+		lineWidth: 0
+	});
+}
+
+/**
+ * Turns frontmatter values into TOML. Tables (nested values) and arrays of tables come after everything else,
+ * since TOML needs them to, so fields aren't always in the same order as for YAML. TOML has no null, so
+ * null values are left out. Dates are TOML dates, unless there's a date format or they're quoted.
+ *
+ * @param {Object} values Frontmatter, keyed by field name.
+ * @param {Object} config
+ * @returns {string} TOML without the "+++" lines around it, ending with a line break (or empty if there are no values).
+ */
+export function toToml(values, config) {
+	const lines = [];
+	writeTomlTable(lines, [], withoutEmptyValues(values), config);
+
+	return lines.length > 0 ? lines.join('\n').replace(/^\n+/, '') + '\n' : '';
+}
+
+/**
+ * Turns frontmatter values into JSON, the way Hugo reads it (an object at the very start of the file).
+ * JSON has no dates, so they're formatted strings.
+ *
+ * @param {Object} values Frontmatter, keyed by field name.
+ * @param {Object} config
+ * @returns {string} Ending with a line break.
+ */
+export function toJson(values, config) {
+	const replacer = function (key, value) {
+		// luxon dates have their own toJSON(), which is called before this sees them
+		const original = this[key];
+		return original instanceof luxon.DateTime ? formatDate(original, config) : value;
+	};
+
+	return JSON.stringify(withoutEmptyValues(values), replacer, '\t') + '\n';
+}
+
+// a date as a string, unquoted
+export function formatDate(value, config) {
+	if (config.dateFormat) {
+		return value.toFormat(config.dateFormat);
+	}
+
+	return config.includeTime ? value.toISO() : value.toISODate();
+}
+
+function withoutEmptyValues(values) {
+	return Object.fromEntries(Object.entries(values).filter(([key, value]) => !isEmpty(value)));
+}
+
+function isEmpty(value) {
+	return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// dates and multi-line strings need their own scalar styles, everything else is left to the document's defaults
+function toYamlValue(value, config) {
+	if (value instanceof luxon.DateTime) {
+		const scalar = new yaml.Scalar(formatDate(value, config));
+		scalar.type = config.quoteDate ? yaml.Scalar.QUOTE_DOUBLE : yaml.Scalar.PLAIN;
+		return scalar;
+	} else if (typeof value === 'string' && value.includes('\n')) {
+		const scalar = new yaml.Scalar(value);
+		scalar.type = yaml.Scalar.BLOCK_LITERAL;
+		return scalar;
+	} else if (Array.isArray(value)) {
+		return value.map((item) => toYamlValue(item, config));
+	} else if (value !== null && typeof value === 'object') {
+		// nested values that are undefined have no YAML equivalent, unlike null
+		return Object.fromEntries(Object.entries(value)
+			.filter(([key, item]) => item !== undefined)
+			.map(([key, item]) => [key, toYamlValue(item, config)]));
+	}
+
+	return value;
+}
+
+function writeTomlTable(lines, tablePath, table, config) {
+	const entries = Object.entries(table).filter(([key, value]) => value !== undefined && value !== null);
+	const isTable = ([key, value]) => isPlainObject(value);
+	const isTableArray = ([key, value]) => Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+
+	entries.filter((entry) => !isTable(entry) && !isTableArray(entry)).forEach(([key, value]) => {
+		lines.push(`${toTomlKey(key)} = ${toTomlValue(value, config)}`);
+	});
+
+	entries.filter(isTable).forEach(([key, value]) => {
+		const subTablePath = [...tablePath, key];
+
+		// a table with only more tables in it gets its header from theirs
+		const subEntries = Object.entries(value).filter(([subKey, subValue]) => subValue !== undefined && subValue !== null);
+		if (subEntries.length === 0 || !subEntries.every((entry) => isTable(entry) || isTableArray(entry))) {
+			lines.push('', `[${subTablePath.map(toTomlKey).join('.')}]`);
+		}
+		writeTomlTable(lines, subTablePath, value, config);
+	});
+
+	// each item is added to the array by repeating its header, even when nested in another array of tables
+	entries.filter(isTableArray).forEach(([key, value]) => {
+		const subTablePath = [...tablePath, key];
+		value.forEach((item) => {
+			lines.push('', `[[${subTablePath.map(toTomlKey).join('.')}]]`);
+			writeTomlTable(lines, subTablePath, item, config);
+		});
+	});
+}
+
+function toTomlKey(key) {
+	return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+// inline, for values that aren't tables or arrays of tables (or are inside an array that's mixed)
+function toTomlValue(value, config) {
+	if (value instanceof luxon.DateTime) {
+		// an offset date-time or local date, unless it's formatted some other way
+		const date = formatDate(value, config);
+		return config.dateFormat || config.quoteDate ? JSON.stringify(date) : date;
+	} else if (typeof value === 'number') {
+		if (Number.isNaN(value)) {
+			return 'nan';
+		} else if (!Number.isFinite(value)) {
+			return value > 0 ? 'inf' : '-inf';
+		}
+		return String(value);
+	} else if (typeof value === 'boolean') {
+		return String(value);
+	} else if (Array.isArray(value)) {
+		const items = value.filter((item) => item !== undefined && item !== null);
+		return `[${items.map((item) => toTomlValue(item, config)).join(', ')}]`;
+	} else if (isPlainObject(value)) {
+		const entries = Object.entries(value).filter(([key, item]) => item !== undefined && item !== null);
+		return entries.length > 0 ? `{ ${entries.map(([key, item]) => `${toTomlKey(key)} = ${toTomlValue(item, config)}`).join(', ')} }` : '{}';
+	}
+
+	// JSON's string escapes are all valid in TOML's basic strings
+	return JSON.stringify(String(value));
+}
+
+// unserialized PHP objects can be class instances, those are written like any other table
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof luxon.DateTime);
+}
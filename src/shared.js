@@ -1,9 +1,6 @@
 import chalk from 'chalk';
 import path from 'path';
 
-// simple data store, populated via intake, used everywhere
-export const config = {};
-
 export function camelCase(str) {
 	return str.replace(/-(.)/g, (match) => match[1].toUpperCase());
 }
@@ -16,39 +13,35 @@ export function logHeading(text) {
 	console.log(`\n${chalk.cyan(text + '...')}`);
 }
 
-export function buildPostPath(post, overrideConfig) {
-	const pathConfig = overrideConfig ?? config;
+export function buildPostPath(post, config) {
+	const profile = config.profile;
 
 	// start with output folder
-	const pathSegments = [pathConfig.output];
+	const pathSegments = [config.output];
 
-	// add folder for post type if exists
+	// add folder for post type if exists, as specified by the profile
 	if (post.type) {
-		switch (post.type) {
-			case 'post':
-				pathSegments.push('posts');
-				break;
-			case 'page':
-				pathSegments.push('pages');
-				break;
-			default:
-				pathSegments.push('custom');
-				pathSegments.push(post.type);	
-		}
+		const typeFolder = profile.typeFolders[post.type] ?? profile.typeFolders['*'];
+		pathSegments.push(typeFolder.replaceAll('{type}', post.type));
 	}
 
-	// add drafts folder if this is a draft post
-	if (post.isDraft) {
-		pathSegments.push('_drafts');
+	// add drafts folder if this is a draft post and the profile puts drafts in a folder
+	if (post.isDraft && profile.drafts === 'folder') {
+		if (profile.draftFolder.startsWith('/')) {
+			// relative to output folder, replacing the post type folder
+			pathSegments.splice(1, Infinity, profile.draftFolder.slice(1));
+		} else {
+			pathSegments.push(profile.draftFolder);
+		}
 	}
 
 	// add folders for date year/month as appropriate
 	if (post.date) {
-		if (pathConfig.dateFolders === 'year' || pathConfig.dateFolders === 'year-month') {
+		if (config.dateFolders === 'year' || config.dateFolders === 'year-month') {
 			pathSegments.push(post.date.toFormat('yyyy'));
 		}
 
-		if (pathConfig.dateFolders === 'year-month') {
+		if (config.dateFolders === 'year-month') {
 			pathSegments.push(post.date.toFormat('LL'));
 		}
 	}
@@ -56,21 +49,65 @@ export function buildPostPath(post, overrideConfig) {
 	// get slug with fallback
 	let slug = getSlugWithFallback(post);
 
-	// prepend date to slug as appropriate
-	if (pathConfig.prefixDate && post.date) {
+	// prepend date to slug as appropriate, for the post types the profile allows
+	const isDatedType = profile.prefixDateTypes.includes(post.type) || profile.prefixDateTypes.includes('*');
+	if (config.prefixDate && isDatedType && post.date) {
 		slug = post.date.toFormat('yyyy-LL-dd') + '-' + slug;
 	}
 
 	// use slug as folder or filename as specified
-	if (pathConfig.postFolders) {
-		pathSegments.push(slug, 'index.md');
+	if (config.postFolders) {
+		pathSegments.push(slug, 'index' + profile.fileExtension);
 	} else {
-		pathSegments.push(slug + '.md');
+		pathSegments.push(slug + profile.fileExtension);
 	}
 
 	return path.join(...pathSegments);
 }
 
+/**
+ * The URL path a post will have on the built site. Follows the folder structure within the profile's
+ * content folder, unless the profile has a permalink pattern for the post type. Patterns can use {year},
+ * {month}, {day}, {slug}, {type}, {categories} (the categories frontmatter field, lowercased and separated
+ * by slashes, like Jekyll does), and {path} (the folder structure permalink, without slashes around it).
+ *
+ * @param {Object} post
+ * @param {string} destinationPath Where the post's Markdown file will be written.
+ * @param {Object} config
+ * @returns {string}
+ */
+export function buildPostPermalink(post, destinationPath, config) {
+	// "posts/my-post/index.md" and "posts/my-post.md" both become "/posts/my-post/"
+	const relativePath = getContentPath(destinationPath, config);
+	const withoutExtension = relativePath.slice(0, -path.extname(relativePath).length);
+	const permalink = '/' + withoutExtension.replace(/(^|\/)index$/, '$1').replace(/([^/])$/, '$1/');
+
+	const pattern = config.profile.permalinks[post.type] ?? config.profile.permalinks['*'];
+	if (!pattern) {
+		return permalink;
+	}
+
+	const categories = Array.isArray(post.frontmatter?.categories) ? post.frontmatter.categories : [];
+	const values = {
+		year: post.date?.toFormat('yyyy') ?? '',
+		month: post.date?.toFormat('LL') ?? '',
+		day: post.date?.toFormat('dd') ?? '',
+		slug: getSlugWithFallback(post),
+		type: post.type,
+		categories: categories.map((category) => String(category).toLowerCase()).join('/'),
+		path: permalink.replace(/^\/|\/$/g, '')
+	};
+
+	// placeholders with nothing to fill in leave double slashes behind
+	return pattern.replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match).replace(/\/{2,}/g, '/');
+}
+
+// path of a file relative to the profile's content folder (or the output folder), with forward slashes
+export function getContentPath(filePath, config) {
+	const contentFolder = path.join(config.output, config.profile.contentFolder);
+	return path.relative(contentFolder, filePath).split(path.sep).join('/');
+}
+
 export function getFilenameFromUrl(url) {
 	let filename = url.split('/').slice(-1)[0];
 	
@@ -89,3 +126,10 @@ export function getFilenameFromUrl(url) {
 	}
 	return filename;
 }
+
+// a file in the site's uploads folder with one of the media extensions, like ".../wp-content/uploads/2024/05/guide.pdf"
+export function isMediaUrl(url, config) {
+	const pathname = url.split('?')[0].split('#')[0];
+	const extension = path.posix.extname(pathname).slice(1).toLowerCase();
+	return config.mediaExtensions.includes(extension) && pathname.includes('/uploads/');
+}
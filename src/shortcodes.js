@@ -0,0 +1,259 @@
+import fs from 'fs';
+import * as shared from './shared.js';
+
+// sensible defaults for shortcodes that come with WordPress, can be overridden by the shortcode map
+const builtInMappings = {
+	audio: { type: 'audio' },
+	caption: { type: 'caption' },
+	embed: { type: 'embed' },
+	gallery: { type: 'gallery' },
+	video: { type: 'video' },
+	wp_caption: { type: 'caption' }
+};
+
+// types that become components of some kind in the Markdown output
+export const componentTypes = ['mdc', 'hugo', 'nunjucks', 'liquid', 'jsx'];
+
+// "component" uses the component syntax from the profile
+const userTypes = [...componentTypes, 'component', 'html', 'strip', 'remove'];
+
+// keyed by config, so conversions running side by side each get their own
+const cachedMappings = new WeakMap();
+
+// built-in mappings combined with those from the shortcode map (if provided), loaded once per config
+export function getMappings(config) {
+	if (!cachedMappings.has(config)) {
+		cachedMappings.set(config, { ...builtInMappings, ...loadShortcodeMap(config) });
+	}
+
+	return cachedMappings.get(config);
+}
+
+function loadShortcodeMap(config) {
+	if (!config.shortcodeMap) {
+		return {};
+	}
+
+	// a shortcode map set in a config file is already normalized, otherwise it's a path to a JSON file
+	let shortcodeMap = config.shortcodeMap;
+	if (typeof shortcodeMap === 'string') {
+		try {
+			shortcodeMap = normalizeShortcodeMap(JSON.parse(fs.readFileSync(shortcodeMap, 'utf8')));
+		} catch (ex) {
+			ex.message = `Could not read shortcode map ${config.shortcodeMap}.\n\n` + ex.message;
+			throw ex;
+		}
+	}
+
+	return Object.fromEntries(Object.entries(shortcodeMap).map(([name, mapping]) => {
+		if (mapping.type === 'component') {
+			return [name, { ...mapping, type: config.profile.componentSyntax }];
+		}
+
+		return [name, mapping];
+	}));
+}
+
+// checks the type of each mapping and lowercases shortcode names, a string value is shorthand for just the type
+export function normalizeShortcodeMap(shortcodeMap) {
+	if (typeof shortcodeMap !== 'object' || shortcodeMap === null || Array.isArray(shortcodeMap)) {
+		throw new Error('Shortcode map must be an object keyed by shortcode name.');
+	}
+
+	return Object.fromEntries(Object.entries(shortcodeMap).map(([name, value]) => {
+		const mapping = typeof value === 'string' ? { type: value } : value;
+		if (!userTypes.includes(mapping?.type)) {
+			throw new Error(`Shortcode map has unknown type for "${name}". Must be any of: ${userTypes.join(', ')}.`);
+		}
+
+		return [name.toLowerCase(), mapping];
+	}));
+}
+
+/**
+ * Finds shortcodes in content and replaces each with whatever replacer returns.
+ * Follows the same rules as WordPress: a shortcode encloses content only if a matching
+ * closing tag follows it, [[double brackets]] escape a shortcode, and shortcodes shown in
+ * <pre> or <code> are left as written.
+ *
+ * @param {string} content
+ * @param {function(string): boolean} isMatch Whether or not a shortcode name should be replaced.
+ * @param {function({name: string, attributes: Object, content: (string|undefined), text: string}): string} replacer
+ *   Content is undefined for self-closing shortcodes. Nested shortcodes in content are already replaced.
+ *   Text is the shortcode as written, including any content and closing tag.
+ * @returns {string}
+ */
+export function replaceShortcodes(content, isMatch, replacer) {
+	const openingTagRegex = /\[(\[?)([\w-]+)(?![\w-])((?:[^\]"'/]|"[^"]*"|'[^']*'|\/(?!\]))*)(\/)?\](\]?)/g;
+
+	const codeRanges = [...content.matchAll(/<(pre|code)(?=[\s>])[^>]*>[\s\S]*?<\/\1>/gi)].map((codeMatch) => [codeMatch.index, codeMatch.index + codeMatch[0].length]);
+	const isInCode = (index) => codeRanges.some(([start, end]) => index >= start && index < end);
+
+	let output = '';
+	let lastIndex = 0;
+	let match;
+	while ((match = openingTagRegex.exec(content)) !== null) {
+		const [openingTag, escapeOpen, rawName, rawAttributes, selfClosingSlash, escapeClose] = match;
+		const name = rawName.toLowerCase();
+		if (!isMatch(name) || isInCode(match.index)) {
+			continue;
+		}
+
+		output += content.slice(lastIndex, match.index);
+
+		if (escapeOpen && escapeClose) {
+			// escaped, output without the extra brackets
+			output += openingTag.slice(1, -1);
+			lastIndex = match.index + openingTag.length;
+			continue;
+		}
+
+		// an unmatched extra bracket is just text
+		output += escapeOpen;
+
+		const shortcode = { name, attributes: parseAttributes(rawAttributes), content: undefined };
+		let endIndex = match.index + openingTag.length;
+
+		if (!selfClosingSlash) {
+			const closingTag = `[/${rawName}]`;
+			const closingIndex = content.indexOf(closingTag, endIndex);
+			if (closingIndex !== -1 && !isInCode(closingIndex)) {
+				shortcode.content = replaceShortcodes(content.slice(endIndex, closingIndex), isMatch, replacer);
+				endIndex = closingIndex + closingTag.length;
+			}
+		}
+
+		shortcode.text = content.slice(match.index + escapeOpen.length, endIndex);
+		output += replacer(shortcode) + (selfClosingSlash || shortcode.content === undefined ? escapeClose : '');
+		lastIndex = endIndex;
+		openingTagRegex.lastIndex = endIndex;
+	}
+
+	return output + content.slice(lastIndex);
+}
+
+// attributes are named (key="value", key='value', key=value) or positional ("value", 'value', value)
+// positional attributes are keyed by their position, starting at "0"
+export function parseAttributes(text) {
+	const attributes = {};
+	const attributeRegex = /([\w-]+)\s*=\s*"([^"]*)"|([\w-]+)\s*=\s*'([^']*)'|([\w-]+)\s*=\s*([^\s'"]+)|"([^"]*)"|'([^']*)'|(\S+)/g;
+
+	let position = 0;
+	for (const match of text.replace(/[\u00a0\u200b]/g, ' ').matchAll(attributeRegex)) {
+		if (match[1] !== undefined) {
+			attributes[match[1].toLowerCase()] = match[2];
+		} else if (match[3] !== undefined) {
+			attributes[match[3].toLowerCase()] = match[4];
+		} else if (match[5] !== undefined) {
+			attributes[match[5].toLowerCase()] = match[6];
+		} else {
+			attributes[String(position++)] = match[7] ?? match[8] ?? match[9];
+		}
+	}
+
+	return attributes;
+}
+
+/**
+ * Builds component syntax for a shortcode with a "mdc", "hugo", "nunjucks", "liquid", or "jsx" mapping.
+ *
+ * @param {Object} mapping Mapping for this shortcode, with type and optional name.
+ * @param {{name: string, attributes: Object}} shortcode
+ * @param {string|undefined} content Converted Markdown content, undefined for self-closing shortcodes.
+ * @param {boolean} isInline Whether or not the shortcode sits in a line of text.
+ * @returns {string}
+ */
+export function buildComponent(mapping, shortcode, content, isInline) {
+	const name = mapping.name ?? shortcode.name;
+	const entries = Object.entries(shortcode.attributes);
+	const hasContent = content !== undefined && content.trim() !== '';
+
+	switch (mapping.type) {
+		case 'mdc': {
+			const props = entries.length > 0 ? `{${entries.map(([key, value]) => `${toIdentifier(key)}=${quoteHtmlLike(value)}`).join(' ')}}` : '';
+			if (isInline) {
+				return `:${name}${hasContent ? `[${content.trim()}]` : ''}${props}`;
+			}
+			return `::${name}${props}\n${hasContent ? content.trim() + '\n' : ''}::`;
+		}
+		case 'hugo': {
+			// Hugo can't mix named and positional parameters, so positional ones are only used on their own
+			const isPositional = entries.every(([key]) => /^\d+$/.test(key));
+			const params = entries.map(([key, value]) => (isPositional ? '' : `${key}=`) + JSON.stringify(value));
+			const tag = [name, ...params].join(' ');
+			if (!hasContent) {
+				return `{{< ${tag} >}}`;
+			}
+			// "%" delimiters because the content is Markdown
+			const separator = isInline ? '' : '\n';
+			return `{{% ${tag} %}}${separator}${content.trim()}${separator}{{% /${name} %}}`;
+		}
+		case 'nunjucks': {
+			// positional values first, then keyword arguments
+			const params = [
+				...entries.filter(([key]) => /^\d+$/.test(key)).map(([key, value]) => JSON.stringify(value)),
+				...entries.filter(([key]) => !/^\d+$/.test(key)).map(([key, value]) => `${toIdentifier(key)}=${JSON.stringify(value)}`)
+			].join(', ');
+			const tag = params ? `${name} ${params}` : name;
+			if (!hasContent) {
+				return `{% ${tag} %}`;
+			}
+			const separator = isInline ? '' : '\n';
+			return `{% ${tag} %}${separator}${content.trim()}${separator}{% end${name} %}`;
+		}
+		case 'liquid': {
+			// Jekyll style include, content is captured into a variable and passed along
+			const params = entries.map(([key, value]) => ` ${toIdentifier(key)}=${JSON.stringify(value)}`).join('');
+			if (!hasContent) {
+				return `{% include ${name}.html${params} %}`;
+			}
+			const variable = name.replace(/\W/g, '_') + '_content';
+			return `{% capture ${variable} %}${content.trim()}{% endcapture %}{% include ${name}.html${params} content=${variable} %}`;
+		}
+		case 'jsx': {
+			const componentName = mapping.name ?? toPascalCase(shortcode.name);
+			const props = entries.map(([key, value]) => ` ${toIdentifier(key)}=${value.includes('"') ? `{${JSON.stringify(value)}}` : `"${value}"`}`).join('');
+			if (!hasContent) {
+				return `<${componentName}${props} />`;
+			}
+			// blank lines let MDX treat the content as Markdown
+			const separator = isInline ? '' : '\n\n';
+			return `<${componentName}${props}>${separator}${content.trim()}${separator}</${componentName}>`;
+		}
+	}
+}
+
+/**
+ * Builds HTML for a shortcode with an "html" mapping, to be converted along with the rest of the content.
+ * Templates can use {{attribute}} and {{content}} placeholders, the default template is a <div>.
+ *
+ * @param {Object} mapping Mapping for this shortcode, with type and optional name and template.
+ * @param {{name: string, attributes: Object, content: (string|undefined)}} shortcode
+ * @returns {string}
+ */
+export function buildHtml(mapping, shortcode) {
+	const template = mapping.template ?? `<div class="${mapping.name ?? shortcode.name}">{{content}}</div>`;
+	return template.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, key) => {
+		if (key === 'content') {
+			return shortcode.content ?? '';
+		}
+		return escapeHtml(shortcode.attributes[key.toLowerCase()] ?? '');
+	});
+}
+
+function toIdentifier(key) {
+	// positional attributes need a name to be used as props
+	return /^\d+$/.test(key) ? 'arg' + key : shared.camelCase(key.replace(/_/g, '-'));
+}
+
+function toPascalCase(name) {
+	return name.split(/[-_]+/).map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+function quoteHtmlLike(value) {
+	return value.includes('"') && !value.includes('\'') ? `'${value}'` : `"${value.replace(/"/g, '&quot;')}"`;
+}
+
+function escapeHtml(value) {
+	return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
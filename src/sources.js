@@ -0,0 +1,192 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import stream from 'stream';
+import consumers from 'stream/consumers';
+import tar from 'tar-stream';
+import yauzl from 'yauzl';
+import zlib from 'zlib';
+
+/**
+ * Opens a local copy of the WordPress uploads folder, so images and media files can be read from it
+ * instead of downloaded. URLs are matched by the path after "wp-content/uploads/" (or "uploads/"), so
+ * ".../wp-content/uploads/2024/05/photo.jpg" is read from "2024/05/photo.jpg" in the source.
+ *
+ * @param {string} sourcePath A folder, or a .zip, .tar, .tar.gz, or .tgz archive.
+ * @returns {Promise<{has: Function, readFilePromise: Function, closePromise: Function}>}
+ *   has(url) says if the source has a file for the URL, readFilePromise(url) resolves to its contents
+ *   (or undefined if it doesn't), and closePromise() cleans up once everything has been read.
+ */
+export async function openPromise(sourcePath) {
+	const stats = await fs.promises.stat(sourcePath);
+	if (stats.isDirectory()) {
+		return openFolder(sourcePath);
+	}
+
+	if (sourcePath.toLowerCase().endsWith('.zip')) {
+		return openArchivePromise(sourcePath, readZipEntriesPromise);
+	}
+
+	return openArchivePromise(sourcePath, readTarEntriesPromise);
+}
+
+// the path of a file within the uploads folder, from a URL or a path in an archive
+export function getUploadPath(filePath) {
+	let uploadPath = filePath.split('?')[0].split('#')[0].replace(/^https?:\/\/[^/]+/i, '').replaceAll('\\', '/');
+	try {
+		uploadPath = decodeURIComponent(uploadPath);
+	} catch (ex) {
+		// leave improperly encoded paths as-is
+	}
+
+	const match = uploadPath.match(/(^|\/)wp-content\/uploads\//) ?? uploadPath.match(/(^|\/)uploads\//);
+	if (match) {
+		uploadPath = uploadPath.slice(match.index + match[0].length);
+	}
+
+	return path.posix.normalize(uploadPath).replace(/^(\.?\/)+/, '');
+}
+
+function openFolder(folderPath) {
+	// the folder can be the uploads folder itself, or any folder above it
+	const uploadsFolder = [
+		path.join(folderPath, 'wp-content', 'uploads'),
+		path.join(folderPath, 'uploads'),
+		folderPath
+	].find((candidate) => fs.existsSync(candidate));
+
+	const getFilePath = (url) => {
+		const filePath = path.join(uploadsFolder, getUploadPath(url));
+		return filePath.startsWith(uploadsFolder + path.sep) && isFile(filePath) ? filePath : undefined;
+	};
+
+	return {
+		has: (url) => getFilePath(url) !== undefined,
+		readFilePromise: async (url) => {
+			const filePath = getFilePath(url);
+			return filePath ? fs.promises.readFile(filePath) : undefined;
+		},
+		closePromise: async () => {}
+	};
+}
+
+async function openArchivePromise(archivePath, readEntriesPromise) {
+	let archive;
+	try {
+		archive = await readEntriesPromise(archivePath);
+	} catch (ex) {
+		ex.message = `Could not read media source ${archivePath}.\n\n` + ex.message;
+		throw ex;
+	}
+
+	// first one wins, if the same file is somehow in there twice
+	const entriesByPath = new Map();
+	archive.entries.forEach((entry) => {
+		const uploadPath = getUploadPath(entry.name);
+		if (!entriesByPath.has(uploadPath)) {
+			entriesByPath.set(uploadPath, entry);
+		}
+	});
+
+	// archives without an uploads folder in them can still have everything in a single folder of some other
+	// name, but not a year folder (that's the uploads folder's own contents)
+	const wrapperFolder = getWrapperFolder([...entriesByPath.keys()]);
+	if (wrapperFolder) {
+		[...entriesByPath].forEach(([uploadPath, entry]) => {
+			const innerPath = uploadPath.slice(wrapperFolder.length + 1);
+			if (!entriesByPath.has(innerPath)) {
+				entriesByPath.set(innerPath, entry);
+			}
+		});
+	}
+
+	return {
+		has: (url) => entriesByPath.has(getUploadPath(url)),
+		readFilePromise: async (url) => {
+			const entry = entriesByPath.get(getUploadPath(url));
+			return entry ? archive.readEntryPromise(entry) : undefined;
+		},
+		closePromise: archive.closePromise
+	};
+}
+
+function getWrapperFolder(uploadPaths) {
+	const folders = new Set(uploadPaths.map((uploadPath) => uploadPath.includes('/') ? uploadPath.split('/')[0] : ''));
+	const [folder] = folders;
+	return folders.size === 1 && folder !== '' && !/^\d{4}$/.test(folder) ? folder : undefined;
+}
+
+// files in a zip archive, read as they're needed
+async function readZipEntriesPromise(archivePath) {
+	const zipFile = await yauzl.openPromise(archivePath, { lazyEntries: true, autoClose: false });
+
+	const entries = [];
+	try {
+		await new Promise((resolve, reject) => {
+			zipFile.on('entry', (entry) => {
+				if (!entry.fileName.endsWith('/')) {
+					entries.push({ name: entry.fileName, zipEntry: entry });
+				}
+				zipFile.readEntry();
+			});
+			zipFile.on('end', resolve);
+			zipFile.on('error', reject);
+			zipFile.readEntry();
+		});
+	} catch (ex) {
+		zipFile.close();
+		throw ex;
+	}
+
+	return {
+		entries,
+		readEntryPromise: async (entry) => consumers.buffer(await zipFile.openReadStreamPromise(entry.zipEntry)),
+		closePromise: async () => zipFile.close()
+	};
+}
+
+// files in a tar archive (gzipped or not), which can't be read out of order, so they're extracted to a
+// temporary folder first
+async function readTarEntriesPromise(archivePath) {
+	const tempFolder = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wetm-'));
+	const entries = [];
+	const extract = tar.extract();
+	extract.on('entry', (header, entryStream, next) => {
+		if (header.type !== 'file' && header.type !== 'contiguous-file') {
+			entryStream.on('end', next);
+			entryStream.resume();
+			return;
+		}
+
+		// saved by number, so nothing in the archive's paths can write outside the temporary folder
+		const filePath = path.join(tempFolder, String(entries.length));
+		entries.push({ name: header.name, filePath });
+		stream.promises.pipeline(entryStream, fs.createWriteStream(filePath)).then(() => next(), next);
+	});
+
+	const streams = [fs.createReadStream(archivePath)];
+	if (!archivePath.toLowerCase().endsWith('.tar')) {
+		streams.push(zlib.createGunzip());
+	}
+
+	try {
+		await stream.promises.pipeline(...streams, extract);
+	} catch (ex) {
+		await fs.promises.rm(tempFolder, { recursive: true, force: true });
+		throw ex;
+	}
+
+	return {
+		entries,
+		readEntryPromise: (entry) => fs.promises.readFile(entry.filePath),
+		closePromise: () => fs.promises.rm(tempFolder, { recursive: true, force: true })
+	};
+}
+
+function isFile(filePath) {
+	try {
+		return fs.statSync(filePath).isFile();
+	} catch (ex) {
+		return false;
+	}
+}
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// kept in the output folder, with paths relative to it so the whole folder can be moved
+const manifestFilename = '.wetm-manifest.json';
+
+// actions that write a post's Markdown file
+export const writeActions = ['create', 'update', 'move'];
+
+export async function loadManifestPromise(config) {
+	const manifestPath = path.join(config.output, manifestFilename);
+
+	let text;
+	try {
+		text = await fs.promises.readFile(manifestPath, 'utf8');
+	} catch (ex) {
+		if (ex.code === 'ENOENT') {
+			// first sync into this output folder
+			return { posts: {} };
+		}
+		throw ex;
+	}
+
+	try {
+		return JSON.parse(text);
+	} catch (ex) {
+		ex.message = `Could not read sync manifest ${manifestPath}.\n\n` + ex.message;
+		throw ex;
+	}
+}
+
+export async function saveManifestPromise(manifest, config) {
+	await fs.promises.mkdir(config.output, { recursive: true });
+	await fs.promises.writeFile(path.join(config.output, manifestFilename), JSON.stringify(manifest, null, '\t') + '\n');
+}
+
+export function hashContent(content) {
+	return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Works out what to do with each post's Markdown file, compared to what was written last time.
+ * Files that were changed by hand since then are never touched.
+ *
+ * @param {Array.<{post: Object, destinationPath: string, content: string}>} outputs
+ *   Every post paired with the path and content its Markdown file would be written with.
+ * @param {Object} manifest From loadManifestPromise().
+ * @param {Object} config
+ * @returns {Promise<Array.<Object>>} One action per post (plus any removed posts), each with an action of:
+ *   - "create" - new post, or its file is gone
+ *   - "update" - post was modified or its output changed
+ *   - "move" - post's path changed, previousPath is where it was
+ *   - "unchanged" - nothing to do
+ *   - "edited" - file was changed by hand, left alone
+ *   - "conflict" - post's new path already has a file that sync didn't write, both are left alone
+ *   - "delete" - post was removed from WordPress (only with sync set to "mirror")
+ *   - "forget" - post was removed and so was its file, just drop it from the manifest
+ */
+export async function planSyncPromise(outputs, manifest, config) {
+	const actions = [];
+	const currentIds = new Set();
+
+	// files sync wrote last time, anything else at a post's new path was put there some other way
+	const manifestPaths = new Set(Object.values(manifest.posts).map((entry) => path.join(config.output, entry.path)));
+
+	for (const { post, destinationPath, content } of outputs) {
+		currentIds.add(post.id);
+
+		const action = {
+			post,
+			postId: post.id,
+			type: post.type,
+			modified: post.modified,
+			destinationPath,
+			previousPath: undefined,
+			content,
+			hash: hashContent(content)
+		};
+
+		const entry = manifest.posts[post.id];
+		if (!entry) {
+			// not synced before, but a file might already be there from a previous run without sync
+			const existingHash = await hashFilePromise(destinationPath);
+			if (existingHash === undefined) {
+				action.action = 'create';
+			} else {
+				action.action = existingHash === action.hash ? 'unchanged' : 'edited';
+			}
+		} else {
+			action.previousPath = path.join(config.output, entry.path);
+			const previousHash = await hashFilePromise(action.previousPath);
+			if (previousHash === undefined) {
+				action.action = 'create';
+			} else if (previousHash !== entry.hash) {
+				action.action = 'edited';
+			} else if (action.previousPath !== destinationPath) {
+				action.action = 'move';
+			} else if (action.hash !== entry.hash || action.modified !== entry.modified) {
+				action.action = 'update';
+			} else {
+				action.action = 'unchanged';
+			}
+		}
+
+		if ((action.action === 'move' || action.action === 'create') && action.previousPath !== undefined && action.previousPath !== destinationPath && !manifestPaths.has(destinationPath)) {
+			// moving onto a file that could have been made by hand would lose it, unless it's already what would be written
+			const existingHash = await hashFilePromise(destinationPath);
+			if (existingHash !== undefined && existingHash !== action.hash) {
+				action.action = 'conflict';
+			}
+		}
+
+		actions.push(action);
+	}
+
+	if (config.sync === 'mirror') {
+		// posts from last time that are gone now (trashed, deleted, or filtered out)
+		for (const [postId, entry] of Object.entries(manifest.posts)) {
+			if (currentIds.has(postId)) {
+				continue;
+			}
+
+			const previousPath = path.join(config.output, entry.path);
+			const previousHash = await hashFilePromise(previousPath);
+			let action;
+			if (previousHash === undefined) {
+				action = 'forget';
+			} else {
+				action = previousHash === entry.hash ? 'delete' : 'edited';
+			}
+
+			actions.push({ action, postId, previousPath, destinationPath: previousPath });
+		}
+	}
+
+	return actions;
+}
+
+/**
+ * Carries out everything in a sync plan other than writing files, and updates the manifest to match.
+ *
+ * @param {Array.<Object>} actions From planSyncPromise().
+ * @param {Set.<Object>} writtenActions Write actions whose files were successfully written.
+ * @param {Object} manifest Updated in place.
+ * @param {Object} config
+ */
+export async function applySyncPromise(actions, writtenActions, manifest, config) {
+	for (const action of actions) {
+		if (writeActions.includes(action.action)) {
+			if (!writtenActions.has(action)) {
+				// failed to write, try again next time
+				continue;
+			}
+
+			if (action.action === 'move') {
+				await removeFilePromise(action.previousPath, config);
+				await moveAssetsPromise(action.previousPath, action.destinationPath, config);
+			}
+			manifest.posts[action.postId] = buildEntry(action, config);
+		} else if (action.action === 'unchanged') {
+			manifest.posts[action.postId] = buildEntry(action, config);
+		} else if (action.action === 'delete') {
+			await removeFilePromise(action.previousPath, config);
+			delete manifest.posts[action.postId];
+		} else if (action.action === 'forget') {
+			delete manifest.posts[action.postId];
+		}
+
+		// edited and conflicting files keep their old entry, so they're still recognized next time
+	}
+}
+
+function buildEntry(action, config) {
+	return {
+		modified: action.modified,
+		path: path.relative(config.output, action.destinationPath).split(path.sep).join('/'),
+		hash: action.hash
+	};
+}
+
+async function hashFilePromise(filePath) {
+	try {
+		return hashContent(await fs.promises.readFile(filePath));
+	} catch (ex) {
+		if (ex.code === 'ENOENT') {
+			return undefined;
+		}
+		throw ex;
+	}
+}
+
+async function removeFilePromise(filePath, config) {
+	await fs.promises.rm(filePath, { force: true });
+	await removeEmptyFoldersPromise(path.dirname(filePath), config);
+}
+
+// clean up folders left empty, like a post folder, but never the output folder itself
+async function removeEmptyFoldersPromise(startPath, config) {
+	const outputPath = path.resolve(config.output);
+	let folderPath = path.resolve(startPath);
+	while (folderPath.startsWith(outputPath + path.sep)) {
+		const remaining = await fs.promises.readdir(folderPath).catch(() => ['?']);
+		if (remaining.length > 0) {
+			break;
+		}
+		await fs.promises.rmdir(folderPath);
+		folderPath = path.dirname(folderPath);
+	}
+}
+
+/**
+ * Takes the files that go with a post along when it's moved, so they aren't left behind. With post folders
+ * that's everything left in the post's folder (images, media, comments), otherwise it's only the comments
+ * files next to the Markdown file, since the images and media folders are shared with other posts.
+ * Anything already at the new path is left alone, and so is the file it would have replaced.
+ */
+async function moveAssetsPromise(previousPath, destinationPath, config) {
+	const previousFolder = path.dirname(previousPath);
+	const destinationFolder = path.dirname(destinationPath);
+
+	if (config.postFolders) {
+		if (previousFolder !== destinationFolder) {
+			await moveFolderContentsPromise(previousFolder, destinationFolder);
+			await removeEmptyFoldersPromise(previousFolder, config);
+		}
+		return;
+	}
+
+	const previousBase = path.basename(previousPath, path.extname(previousPath));
+	const destinationBase = path.basename(destinationPath, path.extname(destinationPath));
+	const names = await fs.promises.readdir(previousFolder).catch(() => []);
+	for (const name of names.filter((name) => name.startsWith(previousBase + '.comments.'))) {
+		await moveEntryPromise(path.join(previousFolder, name), path.join(destinationFolder, destinationBase + name.slice(previousBase.length)));
+	}
+	await removeEmptyFoldersPromise(previousFolder, config);
+}
+
+async function moveFolderContentsPromise(previousFolder, destinationFolder) {
+	const names = await fs.promises.readdir(previousFolder).catch(() => []);
+	for (const name of names) {
+		await moveEntryPromise(path.join(previousFolder, name), path.join(destinationFolder, name));
+	}
+}
+
+async function moveEntryPromise(previousPath, destinationPath) {
+	const stats = await fs.promises.lstat(previousPath);
+	if (stats.isDirectory()) {
+		await moveFolderContentsPromise(previousPath, destinationPath);
+		await fs.promises.rmdir(previousPath).catch(() => {});
+		return;
+	}
+
+	if (await fs.promises.lstat(destinationPath).then(() => true, () => false)) {
+		return;
+	}
+
+	await fs.promises.mkdir(path.dirname(destinationPath), { recursive: true });
+	if (stats.isSymbolicLink()) {
+		// relative symlinks (see dedupeFiles) would point somewhere else from a different folder
+		const target = path.resolve(path.dirname(previousPath), await fs.promises.readlink(previousPath));
+		await fs.promises.symlink(path.relative(path.dirname(destinationPath), target), destinationPath);
+		await fs.promises.rm(previousPath);
+	} else {
+		await fs.promises.rename(previousPath, destinationPath);
+	}
+}
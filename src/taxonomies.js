@@ -0,0 +1,164 @@
+import * as serializer from './serializer.js';
+
+// taxonomies WordPress and plugins use behind the scenes, these never go in the taxonomy file
+const internalTaxonomies = [
+	'language',
+	'link_category',
+	'nav_menu',
+	'post_format',
+	'post_translations',
+	'term_language',
+	'term_translations',
+	'wp_pattern_category',
+	'wp_template_part_area',
+	'wp_theme'
+];
+
+/**
+ * Reads a term from the channel, which can be a <wp:category>, <wp:tag>, or <wp:term> (for any
+ * other taxonomy). Parents are referenced by slug.
+ *
+ * @param {string} nodeName "category", "tag", or "term".
+ * @param {Object} termData
+ * @returns {{id: (number|undefined), taxonomy: string, slug: string, name: string, description: string, parentSlug: string}}
+ */
+export function collectTerm(nodeName, termData) {
+	const getValue = (name) => termData.optionalChildValue(name) ?? '';
+	const id = parseInt(getValue('term_id')) || undefined;
+
+	if (nodeName === 'category') {
+		return buildTerm(id, 'category', getValue('category_nicename'), getValue('cat_name'), getValue('category_description'), getValue('category_parent'));
+	} else if (nodeName === 'tag') {
+		return buildTerm(id, 'post_tag', getValue('tag_slug'), getValue('tag_name'), getValue('tag_description'), '');
+	}
+
+	return buildTerm(id, getValue('term_taxonomy'), getValue('term_slug'), getValue('term_name'), getValue('term_description'), getValue('term_parent'));
+}
+
+/**
+ * The terms a post has in a taxonomy, with the display name from the text of each <category> node.
+ *
+ * @param {Object} post
+ * @param {string} taxonomy Like "category", "post_tag", or "genre".
+ * @returns {Array.<{slug: string, name: string}>}
+ */
+export function getPostTerms(post, taxonomy) {
+	return collectPostTerms(post.data).filter((term) => term.taxonomy === taxonomy);
+}
+
+// a term as it goes in frontmatter, depending on the taxonomy names option
+export function getTermValue(term, config) {
+	return config.taxonomyNames === 'name' ? term.name : term.slug;
+}
+
+/**
+ * Builds a tree of terms for each taxonomy, from the terms in the channel and the ones posts have.
+ * Terms that only show up on posts (some exports leave them out of the channel) are added with what
+ * the post has on them, and terms with a parent that can't be found go at the top.
+ *
+ * @param {Array.<Object>} terms From collectTerm().
+ * @param {Array.<Object>} posts
+ * @returns {Object} Keyed by taxonomy, each an array of {id, slug, name, description, count, children}, where
+ *   count is the number of converted posts with the term (not counting its children's posts).
+ */
+export function buildTaxonomies(terms, posts) {
+	const termsByTaxonomy = {};
+	const addTerm = (term) => {
+		if (internalTaxonomies.includes(term.taxonomy) || term.slug === '') {
+			return undefined;
+		}
+
+		termsByTaxonomy[term.taxonomy] ??= new Map();
+		const taxonomyTerms = termsByTaxonomy[term.taxonomy];
+		if (!taxonomyTerms.has(term.slug)) {
+			// first one wins, if the same term is in more than one export file
+			taxonomyTerms.set(term.slug, { ...term, count: 0 });
+		}
+
+		return taxonomyTerms.get(term.slug);
+	};
+
+	terms.forEach(addTerm);
+	posts.forEach((post) => {
+		collectPostTerms(post.data).forEach((postTerm) => {
+			const term = addTerm(postTerm);
+			if (term) {
+				term.count++;
+			}
+		});
+	});
+
+	return Object.fromEntries(Object.entries(termsByTaxonomy).map(([taxonomy, taxonomyTerms]) => {
+		return [taxonomy, buildTermTree(taxonomyTerms)];
+	}));
+}
+
+/**
+ * @param {Object} taxonomies From buildTaxonomies().
+ * @param {Object} config
+ * @returns {string} JSON or YAML, depending on the taxonomy file's extension.
+ */
+export function buildTaxonomyFile(taxonomies, config) {
+	if (/\.ya?ml$/i.test(config.taxonomyFile)) {
+		return serializer.toYaml(taxonomies, config);
+	}
+
+	return JSON.stringify(taxonomies, null, '\t') + '\n';
+}
+
+function buildTerm(id, taxonomy, slug, name, description, parentSlug) {
+	return {
+		id,
+		taxonomy,
+		slug: decodeSlug(slug),
+		name: name || decodeSlug(slug),
+		description,
+		parentSlug: decodeSlug(parentSlug)
+	};
+}
+
+// the terms in a post's <category> nodes, in every taxonomy
+function collectPostTerms(postData) {
+	return postData.children('category').map((category) => {
+		const slug = category.attribute('nicename');
+		return buildTerm(undefined, category.attribute('domain'), slug, category.optionalValue(), '', '');
+	});
+}
+
+function buildTermTree(taxonomyTerms) {
+	const nodes = new Map([...taxonomyTerms.values()].map((term) => [term.slug, {
+		id: term.id,
+		slug: term.slug,
+		name: term.name,
+		description: term.description,
+		count: term.count,
+		children: []
+	}]));
+
+	const roots = [];
+	taxonomyTerms.forEach((term) => {
+		const node = nodes.get(term.slug);
+		const parent = nodes.get(term.parentSlug);
+		if (parent && !isAncestor(node, parent)) {
+			parent.children.push(node);
+		} else {
+			// top level, or a parent that's missing or somehow its own descendant
+			roots.push(node);
+		}
+	});
+
+	return roots;
+}
+
+function isAncestor(node, descendant) {
+	return node === descendant || node.children.some((child) => isAncestor(child, descendant));
+}
+
+function decodeSlug(slug) {
+	try {
+		return decodeURIComponent(slug);
+	} catch (ex) {
+		// leave improperly encoded slugs as-is
+		return slug;
+	}
+}
@@ -1,6 +1,65 @@
 import turndownPluginGfm from '@guyplusplus/turndown-plugin-gfm';
 import turndown from 'turndown';
+import * as blocks from './blocks.js';
 import * as shared from './shared.js';
+import * as shortcodes from './shortcodes.js';
+
+// Markdown replacements for block editor blocks, anything not listed here is converted as plain HTML
+const blockReplacements = {
+	'core/button': (content, node) => {
+		const link = node.querySelector('a');
+		if (!link) {
+			return content;
+		}
+
+		const text = turndownService.turndown(link.innerHTML);
+		return link.getAttribute('href') ? `[${text}](${link.getAttribute('href')})` : text;
+	},
+	'core/buttons': (content) => content,
+	'core/column': (content) => content,
+	'core/columns': (content) => content,
+	'core/embed': (content, node, attributes) => {
+		const url = attributes.url ?? node.querySelector('.wp-block-embed__wrapper')?.textContent.trim();
+		if (!url) {
+			return content;
+		}
+
+		// anything without special treatment is left as a link, which many static site generators can embed on their own
+		return (buildEmbed(url, attributes.providerNameSlug) ?? `<${url}>`) + buildCaption(node);
+	},
+	'core/gallery': (content, node) => {
+		// works with both newer galleries (nested image blocks) and older ones (list of images)
+		const images = Array.from(node.querySelectorAll('img')).map((image) => {
+			const figure = image.closest('figure');
+			const caption = figure && figure !== node.querySelector('figure') ? buildCaption(figure) : '';
+			return buildImage(image) + caption;
+		});
+
+		return images.join('\n\n') + buildCaption(node);
+	},
+	'core/image': (content, node) => {
+		const image = node.querySelector('img');
+		if (!image) {
+			return content;
+		}
+
+		return buildImage(image) + buildCaption(node);
+	},
+	'core/quote': (content, node) => {
+		// <cite> was left out of content by the "blockQuoteCite" rule, so it can go at the end
+		const cite = node.querySelector('blockquote > cite');
+		const citation = cite ? '\n>\n> — ' + turndownService.turndown(cite.innerHTML) : '';
+		return content.trim() + citation;
+	},
+	'core/table': (content, node) => {
+		const table = node.querySelector('table');
+		if (!table) {
+			return content;
+		}
+
+		return turndownService.turndown(table.outerHTML) + buildCaption(node);
+	}
+};
 
 // init single reusable turndown service object upon import
 const turndownService = initTurndownService();
@@ -9,7 +68,16 @@ function initTurndownService() {
 	const turndownService = new turndown({
 		headingStyle: 'atx',
 		bulletListMarker: '-',
-		codeBlockStyle: 'fenced'
+		codeBlockStyle: 'fenced',
+		blankReplacement: (content, node) => {
+			// placeholders for galleries are empty, but still need converting
+			if (node.nodeName === 'DIV' && node.hasAttribute('data-wetm-gallery')) {
+				return buildGalleryMarker(node);
+			}
+
+			// same as turndown's default
+			return node.isBlock ? '\n\n' : '';
+		}
 	});
 
 	turndownService.use(turndownPluginGfm.tables);
@@ -93,6 +161,47 @@ function initTurndownService() {
 		}
 	});
 
+	// block editor blocks, marked up during getPostContent() so their attributes are available here
+	turndownService.addRule('block', {
+		filter: (node) => node.nodeName === 'DIV' && node.hasAttribute('data-wetm-block'),
+		replacement: (content, node) => {
+			const name = node.getAttribute('data-wetm-block');
+			const attributes = JSON.parse(node.getAttribute('data-wetm-attributes'));
+			return '\n\n' + blockReplacements[name](content, node, attributes) + '\n\n';
+		}
+	});
+
+	// the "core/quote" block puts its citation at the end itself
+	turndownService.addRule('blockQuoteCite', {
+		filter: (node) => node.nodeName === 'CITE' && node.parentNode.nodeName === 'BLOCKQUOTE' && node.parentNode.parentNode?.getAttribute?.('data-wetm-block') === 'core/quote',
+		replacement: () => ''
+	});
+
+	// shortcodes mapped to components, marked up during getPostContent()
+	turndownService.addRule('shortcode', {
+		filter: (node) => node.nodeName === 'WETM-SHORTCODE',
+		replacement: (content, node) => buildShortcodeComponent(content, node)
+	});
+
+	// shortcode galleries, marked up during getPostContent() and resolved to images later
+	turndownService.addRule('gallery', {
+		filter: (node) => node.nodeName === 'DIV' && node.hasAttribute('data-wetm-gallery'),
+		replacement: (content, node) => buildGalleryMarker(node)
+	});
+
+	// preserve <video> and <audio>, boolean attributes do not need to be set to empty string
+	turndownService.addRule('media', {
+		filter: ['video', 'audio'],
+		replacement: (content, node) => {
+			const html = node.outerHTML
+				.replace('controls=""', 'controls')
+				.replace('autoplay=""', 'autoplay')
+				.replace('loop=""', 'loop')
+				.replace('muted=""', 'muted');
+			return '\n\n' + html + '\n\n';
+		}
+	});
+
 	// convert <pre> into a code block with language when appropriate
 	turndownService.addRule('pre', {
 		filter: (node) => {
@@ -108,6 +217,216 @@ function initTurndownService() {
 	return turndownService;
 }
 
+function buildImage(image) {
+	// include the link around the image, if there is one
+	const link = image.parentNode.nodeName === 'A' ? image.parentNode : undefined;
+	return turndownService.turndown((link ?? image).outerHTML);
+}
+
+function buildCaption(node) {
+	// only the block's own caption, not captions from nested blocks
+	const figure = node.nodeName === 'FIGURE' ? node : node.querySelector('figure');
+	const caption = figure && Array.from(figure.children).find((child) => child.nodeName === 'FIGCAPTION');
+	if (!caption) {
+		return '';
+	}
+
+	const text = turndownService.turndown(caption.innerHTML).trim();
+	return text ? `\n\n*${text}*` : '';
+}
+
+function buildEmbed(url, providerNameSlug) {
+	switch (providerNameSlug) {
+		case 'youtube': {
+			const videoId = url.match(/(?:youtu\.be\/|[?&]v=|\/embed\/|\/shorts\/)([\w-]+)/)?.[1];
+			if (videoId) {
+				return `<iframe src="https://www.youtube.com/embed/${videoId}" frameborder="0" allowfullscreen></iframe>`;
+			}
+			break;
+		}
+		case 'vimeo': {
+			const videoId = url.match(/vimeo\.com\/(?:video\/)?(\d+)/)?.[1];
+			if (videoId) {
+				return `<iframe src="https://player.vimeo.com/video/${videoId}" frameborder="0" allowfullscreen></iframe>`;
+			}
+			break;
+		}
+		case 'twitter':
+			// same markup Twitter gives out, preserved by the "tweet" and "script" rules above
+			return `<blockquote class="twitter-tweet"><a href="${url}"></a></blockquote>\n<script async src="https://platform.twitter.com/widgets.js" charset="utf-8"></script>`;
+	}
+
+	// not a provider that gets special treatment
+	return undefined;
+}
+
+function getEmbedProvider(url) {
+	// same slugs WordPress uses for providerNameSlug
+	const hostname = URL.canParse(url) ? new URL(url).hostname.replace(/^www\./, '') : '';
+	if (['youtube.com', 'm.youtube.com', 'youtu.be'].includes(hostname)) {
+		return 'youtube';
+	} else if (['vimeo.com', 'player.vimeo.com'].includes(hostname)) {
+		return 'vimeo';
+	} else if (['twitter.com', 'x.com'].includes(hostname)) {
+		return 'twitter';
+	}
+}
+
+// converts shortcodes that have a mapping, either built-in or from the shortcode map
+function convertMappedShortcodes(content, config) {
+	const mappings = shortcodes.getMappings(config);
+	const isMatch = (name) => Object.hasOwn(mappings, name) || Object.hasOwn(mappings, '*');
+
+	return shortcodes.replaceShortcodes(content, isMatch, (shortcode) => {
+		const mapping = Object.hasOwn(mappings, shortcode.name) ? mappings[shortcode.name] : mappings['*'];
+		const attributes = shortcode.attributes;
+
+		switch (mapping.type) {
+			case 'html':
+				return shortcodes.buildHtml(mapping, shortcode);
+			case 'strip':
+				return shortcode.content ?? '';
+			case 'remove':
+				return '';
+			case 'caption': {
+				// an image (possibly linked) followed by caption text, or caption text in an attribute
+				const match = (shortcode.content ?? '').match(/^\s*((?:<a\s[^>]*>\s*)?<img\s[^>]*>(?:\s*<\/a>)?)([\s\S]*)$/i);
+				if (!match) {
+					return shortcode.content ?? '';
+				}
+				const caption = match[2].trim() || attributes.caption;
+				return caption ? `<figure>${match[1]}<figcaption>${caption}</figcaption></figure>` : match[1];
+			}
+			case 'embed': {
+				const url = (shortcode.content ?? attributes.src ?? attributes['0'] ?? '').trim();
+				return buildEmbed(url, getEmbedProvider(url)) ?? `<a href="${url}">${url}</a>`;
+			}
+			case 'video':
+			case 'audio': {
+				// source can be in "src" or in an attribute named after its file extension
+				const extensions = mapping.type === 'video' ? ['mp4', 'm4v', 'webm', 'ogv', 'wmv', 'flv'] : ['mp3', 'ogg', 'm4a', 'wav', 'wma'];
+				const src = attributes.src ?? extensions.map((extension) => attributes[extension]).find((value) => value);
+				const poster = attributes.poster ? ` poster="${attributes.poster}"` : '';
+				return src ? `<${mapping.type} src="${src}"${poster} controls></${mapping.type}>` : '';
+			}
+			case 'gallery':
+				// resolved to images later, once all attachments are known
+				return `<div data-wetm-gallery="${attributes.ids ?? attributes.include ?? ''}" data-wetm-gallery-text="${escapeAttribute(shortcode.text)}"></div>`;
+			default: {
+				const data = escapeAttribute(JSON.stringify({ mapping, shortcode: { name: shortcode.name, attributes } }));
+				const selfClosing = shortcode.content === undefined ? ' data-wetm-self-closing' : '';
+				// zero width space keeps turndown from treating it as blank and mucking with whitespace around it
+				return `<wetm-shortcode data-wetm-shortcode="${data}"${selfClosing}>${shortcode.content || '&#8203;'}</wetm-shortcode>`;
+			}
+		}
+	});
+}
+
+// names of shortcodes in content that have no mapping, once for each time they're used
+export function findUnmappedShortcodes(content, config) {
+	const mappings = shortcodes.getMappings(config);
+	const names = [];
+
+	// purely numeric names are much more likely to be things like footnote references
+	const isMatch = (name) => !Object.hasOwn(mappings, name) && !Object.hasOwn(mappings, '*') && !/^\d+$/.test(name);
+	shortcodes.replaceShortcodes(content, isMatch, (shortcode) => {
+		names.push(shortcode.name);
+		return '';
+	});
+
+	return names;
+}
+
+function buildShortcodeComponent(content, node) {
+	const { mapping, shortcode } = JSON.parse(node.getAttribute('data-wetm-shortcode'));
+	const componentContent = node.hasAttribute('data-wetm-self-closing') ? undefined : content.replace(/\u200b/g, '');
+
+	// shortcodes in a line of text stay inline, the rest are put on their own lines
+	const isInline = isInlineSibling(node.previousSibling, /(^|\n)[^\S\n]*$/) || isInlineSibling(node.nextSibling, /^[^\S\n]*(\n|$)/);
+
+	const component = shortcodes.buildComponent(mapping, shortcode, componentContent, isInline);
+	return isInline ? component : '\n\n' + component + '\n\n';
+}
+
+function isInlineSibling(sibling, lineBreakRegex) {
+	if (!sibling) {
+		return false;
+	} else if (sibling.nodeType === 3) {
+		// text, inline unless separated by a line break
+		return !lineBreakRegex.test(sibling.textContent);
+	} else {
+		return ['A', 'ABBR', 'B', 'CODE', 'EM', 'I', 'IMG', 'KBD', 'MARK', 'S', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'U', 'WETM-SHORTCODE'].includes(sibling.nodeName);
+	}
+}
+
+// the shortcode as written goes along too, in case the gallery can't be resolved
+function buildGalleryMarker(node) {
+	const text = Buffer.from(node.getAttribute('data-wetm-gallery-text') ?? '').toString('base64url');
+	return `\n\n<!-- wetm-gallery ids="${node.getAttribute('data-wetm-gallery')}" text="${text}" -->\n\n`;
+}
+
+// replaces gallery markers left in converted content with whatever replacer returns for the gallery's attachment IDs
+// and shortcode text, or with the shortcode as written (escaped like any other text) if it returns undefined
+export function replaceGalleryMarkers(content, replacer) {
+	content = content.replace(/<!-- wetm-gallery ids="([^"]*)" text="([^"]*)" -->/g, (match, ids, encodedText) => {
+		const text = Buffer.from(encodedText, 'base64url').toString();
+		return replacer(ids.split(',').map((id) => id.trim()).filter((id) => id), text) ?? turndownService.escape(text);
+	});
+
+	// an empty gallery can leave excessive newlines behind
+	return content.replace(/(\r?\n){3,}/g, '\n\n').trim();
+}
+
+// the image's src is encoded so it survives conversion to Markdown untouched
+export function buildImageMarker(src) {
+	return 'wetm-image:' + Buffer.from(src).toString('base64url');
+}
+
+// replaces image markers left in converted content with whatever replacer returns for the image's original src
+export function replaceImageMarkers(content, replacer) {
+	return content.replace(/wetm-image:([\w-]*)/g, (match, encodedSrc) => {
+		return replacer(Buffer.from(encodedSrc, 'base64url').toString());
+	});
+}
+
+// same as image markers, for media files (PDFs, audio, video, and so on)
+export function buildMediaMarker(src) {
+	return 'wetm-media:' + Buffer.from(src).toString('base64url');
+}
+
+export function replaceMediaMarkers(content, replacer) {
+	return content.replace(/wetm-media:([\w-]*)/g, (match, encodedSrc) => {
+		return replacer(Buffer.from(encodedSrc, 'base64url').toString());
+	});
+}
+
+// marks media file URLs in href, src, srcset, and poster attributes, except for <img src> (that's an image)
+function markMediaUrls(content, config) {
+	return content.replace(/<([a-z][\w-]*)(\s[^>]*)>/gi, (tag, tagName, attributes) => {
+		const markedAttributes = attributes.replace(/(?<=\s)(href|src|srcset|poster)="([^"]*)"/gi, (match, name, value) => {
+			if (name.toLowerCase() === 'src' && tagName.toLowerCase() === 'img') {
+				return match;
+			}
+
+			// srcset is a list of URLs, each with an optional width or density
+			const markedValue = name.toLowerCase() === 'srcset'
+				? value.replace(/(^|,)(\s*)([^\s,]+)/g, (candidate, comma, space, url) => comma + space + markMediaUrl(url, config))
+				: markMediaUrl(value, config);
+			return `${name}="${markedValue}"`;
+		});
+
+		return `<${tagName}${markedAttributes}>`;
+	});
+}
+
+function markMediaUrl(url, config) {
+	return shared.isMediaUrl(url, config) ? buildMediaMarker(url) : url;
+}
+
+function escapeAttribute(value) {
+	return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
 /**
  * Convert any WordPress shortcode into a <div> wrapper,
  * strip out self-closing shortcodes entirely.
@@ -135,8 +454,11 @@ function simplifyAllShortcodes(content) {
   });
 }
 
-export function getPostContent(content) {
-	if (shared.config.stripShortcodes) {
+export function getPostContent(content, config) {
+	// shortcodes with a mapping are converted first, stripping only affects the rest
+	content = convertMappedShortcodes(content, config);
+
+	if (config.stripShortcodes) {
 		content = simplifyAllShortcodes(content);
 	}
 
@@ -145,10 +467,17 @@ export function getPostContent(content) {
 	// without mucking up content inside of other elements (like <code> blocks)
 	content = content.replace(/(\r?\n){2}/g, '\n<div></div>\n');
 
-	if (shared.config.saveImages === 'scraped' || shared.config.saveImages === 'all') {
-		// writeImageFile() will save all content images to a relative /images
-		// folder so update references in post content to match
-		content = content.replace(/(<img(?=\s)[^>]+?(?<=\s)src=")[^"]*?([^/"]+?)(\?[^"]*)?("[^>]*>)/gi, '$1images/$2$4');
+	if (config.saveImages === 'scraped' || config.saveImages === 'all') {
+		// images are saved to wherever paths.planOutput() decides, which isn't known yet,
+		// so mark them for references to be filled in later
+		content = content.replace(/(<img(?=\s)[^>]+?(?<=\s)src=")([^"]+)("[^>]*>)/gi, (match, before, src, after) => {
+			return before + buildImageMarker(src) + after;
+		});
+	}
+
+	if (config.saveMedia === 'scraped' || config.saveMedia === 'all') {
+		// same idea as images, references are filled in later
+		content = markMediaUrls(content, config);
 	}
 
 	// preserve "more" separator, max one per post, optionally with custom label
@@ -159,6 +488,11 @@ export function getPostContent(content) {
 	// <pre> block, save it to a data attribute so the "pre" rule can use it
 	content = content.replace(/(<!-- wp:.+? \{"language":"(.+?)"\} -->\r?\n<pre )/g, '$1data-wetm-language="$2" ');
 
+	// mark up block editor blocks that get special treatment during conversion
+	if (config.convertBlocks) {
+		content = blocks.serializeBlocks(blocks.parseBlocks(content), Object.keys(blockReplacements));
+	}
+
 	// use turndown to convert HTML to Markdown
 	content = turndownService.turndown(content);
 
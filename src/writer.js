@@ -1,58 +1,159 @@
-import axios from 'axios';
-import chalk from 'chalk';
 import fs from 'fs';
-import http from 'http';
-import https from 'https';
-import * as luxon from 'luxon';
 import path from 'path';
+import * as authors from './authors.js';
+import * as dedupe from './dedupe.js';
+import * as downloader from './downloader.js';
+import * as links from './links.js';
+import * as processor from './processor.js';
+import * as redirects from './redirects.js';
+import * as serializer from './serializer.js';
 import * as shared from './shared.js';
+import * as shortcodes from './shortcodes.js';
+import * as sync from './sync.js';
+import * as taxonomies from './taxonomies.js';
 
-import { buildTranslationGroups, chooseBaseSlug } from './parser.js';
+/**
+ * @param {Object} plan From paths.planOutput(), where every post and image goes.
+ * @param {Object} parsed From parser.parseFilePromise(), for the taxonomies, authors, and site hosts.
+ * @param {Object} config
+ * @param {import('events').EventEmitter} events Receives "progress" events.
+ * @param {Object} [mediaSource] From sources.openPromise(), images and media files are read from it instead of downloaded.
+ * @returns {Promise<Array.<{type: string, destinationPath: string, status: string}>>}
+ *   Every file, with a status of "written", "existing" (already there, left alone), "deleted" (by sync), or "failed".
+ */
+export async function writeFilesPromise(plan, parsed, config, events, mediaSource) {
+	if (config.rewriteLinks !== 'none') {
+		links.rewritePostLinks(plan.destinations, config);
+	}
+
+	const files = [];
+	files.push(...await writeMarkdownFilesPromise(plan.destinations, config, events));
+	if (config.comments === 'json' || config.comments === 'markdown') {
+		files.push(...await writeCommentFilesPromise(plan.destinations, config, events));
+	}
+	if (config.redirects.some((format) => format !== 'hugo')) {
+		files.push(...await writeRedirectFilesPromise(plan.destinations, config, events));
+	}
+	if (config.taxonomyFile) {
+		files.push(await writeTaxonomyFilePromise(parsed.taxonomies, config, events));
+	}
+	if (config.authors !== 'none') {
+		files.push(...await writeAuthorFilesPromise(parsed.authors, config, events));
+	}
+	files.push(...await writeDownloadedFilesPromise(plan.images, plan.media, parsed.siteHosts, config, events, mediaSource));
+
+	return files;
+}
+
+/**
+ * Saves only the images and media files that couldn't be saved last time, as listed in the failed downloads file.
+ *
+ * @param {Object} config
+ * @param {import('events').EventEmitter} events Receives "progress" events.
+ * @param {Object} [mediaSource] Same as for writeFilesPromise().
+ * @returns {Promise<Array.<{type: string, destinationPath: string, status: string}>>} Same as writeFilesPromise().
+ */
+export async function retryFailedDownloadsPromise(config, events, mediaSource) {
+	const { siteHosts, downloads } = await downloader.loadFailedDownloadsPromise(config);
+	events.emit('progress', { type: 'message', text: `${downloads.length} failed downloads to retry.` });
+
+	const images = downloads.filter((download) => download.type === 'image');
+	const media = downloads.filter((download) => download.type === 'media');
+	return writeDownloadedFilesPromise(images, media, siteHosts, config, events, mediaSource);
+}
+
+async function writeDownloadedFilesPromise(images, media, siteHosts, config, events, mediaSource) {
+	const limiter = downloader.createLimiter(config);
+	const requestSettings = await downloader.loadRequestSettingsPromise(siteHosts, config);
+	const store = dedupe.createStore(config);
+	const missingUrls = new Set();
+	const fetchFilePromise = async (url) => {
+		if (mediaSource) {
+			const data = await mediaSource.readFilePromise(url);
+			if (data) {
+				return data;
+			}
+
+			missingUrls.add(url);
+			if (!config.mediaSourceFallback) {
+				throw new Error('Not found in media source');
+			}
+		}
+
+		return downloader.downloadFilePromise(url, limiter, requestSettings, config);
+	};
+
+	const files = [];
+	const failedDownloads = [];
+	files.push(...await writeImageFilesPromise(images, fetchFilePromise, store, failedDownloads, config, events));
+	if (config.saveMedia !== 'none' || media.length > 0) {
+		files.push(...await writeMediaFilesPromise(media, fetchFilePromise, store, failedDownloads, config, events));
+	}
+
+	if (missingUrls.size > 0) {
+		events.emit('progress', {
+			type: 'warning',
+			text: `${missingUrls.size} files were not found in the media source` + (config.mediaSourceFallback ? ', downloaded them instead:' : ':'),
+			details: [...missingUrls]
+		});
+	}
 
-export async function writeFilesPromise(posts) {
+	// so they can be retried on their own later
+	await downloader.saveFailedDownloadsPromise(failedDownloads, siteHosts, config);
 
-  let groupMap = {};
+	return files;
+}
 
-  // Polylang translation sets need a different approach
-  if (shared.config.polylang) {
-    // Build the “groupMap” only if Polylang mode is on, otherwise treat each post as its own group
-    console.log('Building Polylang translation groups...')
-    groupMap = buildTranslationGroups(posts)
-  } else {
-    // If not using Polylang, place each post in its own group so we can reuse the same loop later
-    for (const post of posts) {
-      groupMap[String(post.id)] = [post];
-    }
-  }
+// like processPayloadsPromise(), but with a limit on how many at once instead of a delay between each
+async function processDownloadPayloadsPromise(payloads, loadFunc, store, failedDownloads, config, events) {
+	const statuses = [];
+	await downloader.runConcurrentlyPromise(payloads, config.downloadConcurrency, async (payload, index) => {
+		try {
+			const data = await loadFunc(payload.item, config);
+			await store.writeFilePromise(payload.destinationPath, data);
+			await writeLinksPromise(payload.item, store);
+			logPayloadResult(payload, events);
+			statuses[index] = 'written';
+		} catch (ex) {
+			logPayloadResult(payload, events, ex.message);
+			failedDownloads.push({ type: payload.type, ...payload.item, error: ex.message });
+			statuses[index] = 'failed';
+		}
+	});
 
-  console.log(Object.keys(groupMap).filter(key => key.length > 5))
+	events.emit('progress', { type: 'summary', failedCount: statuses.filter((status) => status === 'failed').length });
 
-	await writeMarkdownFilesPromise(groupMap);
-	await writeImageFilesPromise(groupMap);
+	return payloads.map((payload, index) => ({
+		type: payload.type,
+		destinationPath: payload.destinationPath,
+		status: statuses[index]
+	}));
 }
 
-async function processPayloadsPromise(payloads, loadFunc) {
+async function processPayloadsPromise(payloads, loadFunc, config, events) {
 	const promises = payloads.map((payload) => new Promise((resolve, reject) => {
 		setTimeout(async () => {
 			try {
-				const data = await loadFunc(payload.item);
+				const data = await loadFunc(payload.item, config);
 				await writeFile(payload.destinationPath, data);
-				logPayloadResult(payload);
+				logPayloadResult(payload, events);
 				resolve();
 			} catch (ex) {
-				logPayloadResult(payload, ex.message);
-				reject();
+				logPayloadResult(payload, events, ex.message);
+				reject(ex);
 			}
 		}, payload.delay);
 	}));
 
 	const results = await Promise.allSettled(promises);
 	const failedCount = results.filter((result) => result.status === 'rejected').length;
-	if (failedCount === 0) {
-		console.log('Done, got them all!');
-	} else {
-		console.log('Done, but with ' + chalk.red(failedCount + ' failed') + '.');
-	}
+	events.emit('progress', { type: 'summary', failedCount });
+
+	return payloads.map((payload, index) => ({
+		type: payload.type,
+		destinationPath: payload.destinationPath,
+		status: results[index].status === 'fulfilled' ? 'written' : 'failed'
+	}));
 }
 
 async function writeFile(destinationPath, data) {
@@ -61,339 +162,350 @@ async function writeFile(destinationPath, data) {
 }
 
 /**
- * @param {Object.<string,import('./parser.js').Post[]>} groupMap
- *    A map of groupKey → array of posts in that translation group
+ * @param {Array.<{post: Object, destinationPath: string}>} destinations
+ *   Every post paired with the path its Markdown file will be written to.
  */
-async function writeMarkdownFilesPromise_v1(groupMap) {
-  let existingCount = 0;
-  let delay = 0;
-  const payloads = Object.entries(groupMap).flatMap(([groupKey, postsInGroup]) => {
-    // —— Polylang mode: multiple translations per group ——
-    if (shared.config.polylang && postsInGroup.length > 1) {
-      const baseSlug = chooseBaseSlug(postsInGroup, shared.config.defaultLanguage);
-
-      // Prepare per‐group folder if needed
-      const groupFolder = shared.config.postFolders
-        ? path.join(shared.config.output, baseSlug)
-        : shared.config.output;
-      if (shared.config.postFolders) {
-        fs.mkdirSync(groupFolder, { recursive: true });
-      }
-
-      return postsInGroup.flatMap((post) => {
-        // e.g. "my-post.en.md"
-        const lang = post.polylang.language || 'und';
-        const fileName = shared.config.postFolders
-          ? `index.${lang}.md`
-          : `${baseSlug}.${lang}.md`;
-        const destinationPath = shared.config.postFolders
-          ? path.join(groupFolder, fileName)
-          : path.join(shared.config.output, fileName);
-
-        if (fs.existsSync(destinationPath)) {
-          existingCount++;
-          return [];
-        }
-
-        const payload = {
-          item: post,
-          type: post.type,
-          name: fileName,
-          destinationPath,
-          delay
-        };
-        delay += shared.config.writeDelay;
-        return [payload];
-      });
-    }
-
-    // —— Fallback: single‐post groups (or polylang=false) ——
-    return postsInGroup.flatMap((post) => {
-      const destinationPath = shared.buildPostPath(post);
-      if (fs.existsSync(destinationPath)) {
-        existingCount++;
-        return [];
-      }
-      const payload = {
-        item: post,
-        type: post.type,
-        name: shared.getSlugWithFallback(post),
-        destinationPath,
-        delay
-      };
-      delay += shared.config.writeDelay;
-      return [payload];
-    });
-  });
-
-  logSavingMessage('posts', existingCount, payloads.length);
-  if (payloads.length > 0) {
-    await processPayloadsPromise(payloads, loadMarkdownFilePromise);
-  }
+async function writeMarkdownFilesPromise(destinations, config, events) {
+	if (config.sync !== 'none') {
+		return syncMarkdownFilesPromise(destinations, config, events);
+	}
+
+	const existingFiles = [];
+	let delay = 0;
+	const payloads = [];
+
+	for (const { post, destinationPath } of destinations) {
+		if (fs.existsSync(destinationPath)) {
+			existingFiles.push({ type: post.type, destinationPath, status: 'existing' });
+		} else {
+			payloads.push({
+				item: post,
+				type: post.type,
+				name: shared.getSlugWithFallback(post),
+				destinationPath,
+				delay
+			});
+			delay += config.writeDelay;
+		}
+	}
+
+	// Kick off the actual file writes
+	logSavingMessage('posts', existingFiles.length, payloads.length, events);
+	const writtenFiles = payloads.length > 0 ? await processPayloadsPromise(payloads, loadMarkdownFilePromise, config, events) : [];
+	return [...existingFiles, ...writtenFiles];
 }
 
 /**
- * @param {Object.<string, Array>} groupMap
- *   A map where each key is a translation-group identifier (or a single-post ID)
- *   and each value is an array of post objects in that group.
+ * Like writeMarkdownFilesPromise(), but instead of skipping existing files, compares against the
+ * manifest from the last sync to rewrite, move, or delete them as needed.
+ *
+ * @param {Array.<{post: Object, destinationPath: string}>} destinations
+ *   Every post paired with the path its Markdown file will be written to.
  */
-async function writeMarkdownFilesPromise(groupMap) {
-  let existingCount = 0;
-  let delay = 0;
-  const payloads = [];
-
-  for (const [groupKey, postsInGroup] of Object.entries(groupMap)) {
-    // —— Polylang: multiple translations in one group ——
-    if (shared.config.polylang && postsInGroup.length > 1) {
-      // 1) Pick the canonical base slug for the group:
-      const baseSlug = chooseBaseSlug(postsInGroup, shared.config.defaultLanguage);
-
-      // 2) “Fake” a base post so buildPostPath() gives us the right folder path:
-      const fakeBasePost = { ...postsInGroup[0], slug: baseSlug };
-      const basePath = shared.buildPostPath(fakeBasePost);
-      const groupFolder = shared.config.postFolders
-        ? path.dirname(basePath)
-        : null;
-
-      // 3) For each translation, compute its destinationPath:
-      for (const post of postsInGroup) {
-        const lang = post.polylang.language || 'und';
-        let destinationPath;
-
-        if (shared.config.postFolders) {
-          // inside the group folder, name it "index.<lang>.md"
-          destinationPath = path.join(groupFolder, `index.${lang}.md`);
-        } else {
-          // no per-post folders: fake a slug with the language appended
-          const fakeLangPost = { ...post, slug: `${baseSlug}.${lang}` };
-          destinationPath = shared.buildPostPath(fakeLangPost);
-        }
-
-        if (fs.existsSync(destinationPath)) {
-          existingCount++;
-        } else {
-          payloads.push({
-            item: post,
-            type: post.type,
-            destinationPath,
-            delay
-          });
-          delay += shared.config.writeDelay;
-        }
-      }
-
-    } else {
-      // —— Single-post (no translations) or Polylang disabled ——
-      for (const post of postsInGroup) {
-        const destinationPath = shared.buildPostPath(post);
-        if (fs.existsSync(destinationPath)) {
-          existingCount++;
-        } else {
-          payloads.push({
-            item: post,
-            type: post.type,
-            destinationPath,
-            delay
-          });
-          delay += shared.config.writeDelay;
-        }
-      }
-    }
-  }
-
-  // 4) Kick off the actual file writes
-  logSavingMessage('posts', existingCount, payloads.length);
-  if (payloads.length > 0) {
-    await processPayloadsPromise(payloads, loadMarkdownFilePromise);
-  }
-}
+async function syncMarkdownFilesPromise(destinations, config, events) {
+	const manifest = await sync.loadManifestPromise(config);
 
-async function loadMarkdownFilePromise(post) {
-	let output = '---\n';
+	const outputs = [];
+	for (const { post, destinationPath } of destinations) {
+		outputs.push({ post, destinationPath, content: await loadMarkdownFilePromise(post, config) });
+	}
+	const actions = await sync.planSyncPromise(outputs, manifest, config);
+	logSyncMessage(actions, config, events);
+
+	const writeActions = actions.filter((action) => sync.writeActions.includes(action.action));
+	const payloads = writeActions.map((action, index) => ({
+		item: action.content,
+		type: action.type,
+		name: shared.getSlugWithFallback(action.post),
+		destinationPath: action.destinationPath,
+		delay: index * config.writeDelay
+	}));
+	const writtenFiles = payloads.length > 0 ? await processPayloadsPromise(payloads, async (content) => content, config, events) : [];
+
+	// moves and deletes only happen once the new files are safely written
+	const writtenActions = new Set(writeActions.filter((action, index) => writtenFiles[index].status === 'written'));
+	await sync.applySyncPromise(actions, writtenActions, manifest, config);
+	await sync.saveManifestPromise(manifest, config);
+
+	const otherFiles = actions
+		.filter((action) => !sync.writeActions.includes(action.action) && action.action !== 'forget')
+		.map((action) => ({
+			type: action.type ?? 'post',
+			destinationPath: action.destinationPath,
+			status: action.action === 'delete' ? 'deleted' : 'existing'
+		}));
+	return [...otherFiles, ...writtenFiles];
+}
 
-	Object.entries(post.frontmatter).forEach(([key, value]) => {
-		let outputValue;
-		if (Array.isArray(value)) {
-			if (value.length > 0) {
-				// array of one or more strings
-				outputValue = value.reduce((list, item) => `${list}\n  - "${item}"`, '');
-			}
-		} else if (Number.isInteger(value)) {
-			// output unquoted
-			outputValue = value.toString();
-		} else if (value instanceof luxon.DateTime) {
-			if (shared.config.dateFormat) {
-				outputValue = value.toFormat(shared.config.dateFormat);
-			} else {
-				outputValue = shared.config.includeTime ? value.toISO() : value.toISODate();
-			}
+/**
+ * @param {Array.<{post: Object, destinationPath: string}>} destinations
+ *   Every post paired with the path its Markdown file will be written to.
+ */
+async function writeCommentFilesPromise(destinations, config, events) {
+	const existingFiles = [];
+	let delay = 0;
+	const payloads = [];
+
+	for (const { post, destinationPath } of destinations) {
+		if (post.comments.length === 0) {
+			continue;
+		}
 
-			if (shared.config.quoteDate) {
-				outputValue = `"${outputValue}"`;
-			}
-		} else if (typeof value === 'boolean') {
-			// output unquoted
-			outputValue = value.toString();
-		} else if (value !== null && typeof value === 'object') {
-			// Nested objects → YAML mappings
-			outputValue = ""
-			for (const [subKey, subVal] of Object.entries(value)) {
-			  outputValue += `\n  ${subKey}: ${subVal}`
-			}
-		} else if (typeof value === 'string' && value.includes('\n')) {
-			// Multi-line strings → literal block
-			// outputValue = `${key}: |\n`
-			value.split('\n').forEach(line => {
-				outputValue += `  ${line}\n`
-			})
+		// sits next to the post's Markdown file, e.g. "index.md" gets "index.comments.json"
+		const extension = config.comments === 'json' ? '.json' : '.md';
+		const commentsPath = destinationPath.slice(0, -path.extname(destinationPath).length) + '.comments' + extension;
+		if (fs.existsSync(commentsPath)) {
+			existingFiles.push({ type: 'comments', destinationPath: commentsPath, status: 'existing' });
 		} else {
-			// single string value
-			const escapedValue = (value ?? '').replace(/"/g, '\\"');
-			if (escapedValue.length > 0) {
-				outputValue = `"${escapedValue}"`;
-			}
+			payloads.push({
+				item: post,
+				type: 'comments',
+				name: path.basename(commentsPath),
+				destinationPath: commentsPath,
+				delay
+			});
+			delay += config.writeDelay;
 		}
+	}
 
-		if (outputValue !== undefined) {
-			output += `${key}: ${outputValue}\n`;
-		}
-	});
+	logSavingMessage('comments', existingFiles.length, payloads.length, events);
+	const loadFunc = config.comments === 'json' ? loadCommentsJsonFilePromise : loadCommentsMarkdownFilePromise;
+	const writtenFiles = payloads.length > 0 ? await processPayloadsPromise(payloads, loadFunc, config, events) : [];
+	return [...existingFiles, ...writtenFiles];
+}
+
+async function writeRedirectFilesPromise(destinations, config, events) {
+	events.emit('progress', { type: 'heading', text: 'Saving redirects' });
+
+	// unlike posts, these are always written fresh since they cover every post
+	const writtenFiles = [];
+	const redirectFiles = redirects.buildRedirectFiles(destinations, config);
+	for (const redirectFile of redirectFiles) {
+		const destinationPath = path.join(config.output, redirectFile.filename);
+		await writeFile(destinationPath, redirectFile.content);
+		logPayloadResult({ type: 'redirects', name: redirectFile.filename, destinationPath }, events);
+		writtenFiles.push({ type: 'redirects', destinationPath, status: 'written' });
+	}
+
+	return writtenFiles;
+}
+
+async function writeTaxonomyFilePromise(postTaxonomies, config, events) {
+	events.emit('progress', { type: 'heading', text: 'Saving taxonomies' });
+
+	// always written fresh, like redirect files
+	const destinationPath = path.join(config.output, ...config.taxonomyFile.split('/'));
+	await writeFile(destinationPath, taxonomies.buildTaxonomyFile(postTaxonomies, config));
+	logPayloadResult({ type: 'taxonomies', name: path.basename(destinationPath), destinationPath }, events);
+	return { type: 'taxonomies', destinationPath, status: 'written' };
+}
+
+async function writeAuthorFilesPromise(authorProfiles, config, events) {
+	events.emit('progress', { type: 'heading', text: 'Saving authors' });
 
-	output += `---\n\n${post.content}\n`;
+	// always written fresh, like redirect files
+	const writtenFiles = [];
+	for (const authorFile of authors.buildAuthorFiles(authorProfiles, config)) {
+		const destinationPath = path.join(config.output, ...config.authorsFolder.split('/'), authorFile.filename);
+		await writeFile(destinationPath, authorFile.content);
+		logPayloadResult({ type: 'author', name: authorFile.filename, destinationPath }, events);
+		writtenFiles.push({ type: 'author', destinationPath, status: 'written' });
+	}
+
+	return writtenFiles;
+}
+
+async function loadCommentsJsonFilePromise(post, config) {
+	// luxon dates are turned into ISO strings by their own toJSON()
+	return JSON.stringify(post.comments, null, '\t') + '\n';
+}
+
+async function loadCommentsMarkdownFilePromise(post, config) {
+	const buildCommentsOutput = (comments, depth) => comments.map((comment) => {
+		// replies get smaller headings, bottoming out at h6
+		const heading = '#'.repeat(Math.min(depth + 2, 6));
+		const author = comment.authorUrl ? `[${comment.author ?? 'Anonymous'}](${comment.authorUrl})` : (comment.author ?? 'Anonymous');
+		const date = comment.date ? ' on ' + formatDate(comment.date, config) : '';
+
+		let output = `${heading} ${author}${date}\n\n${comment.content}\n\n`;
+		output += buildCommentsOutput(comment.replies, depth + 1);
+		return output;
+	}).join('');
 
-	// for each post.metaContent object attribute, append to output
+	return `# Comments\n\n${buildCommentsOutput(post.comments, 0)}`.trimEnd() + '\n';
+}
+
+async function loadMarkdownFilePromise(post, config) {
+	let output = `${serializer.toFrontmatter(post.frontmatter, config)}\n${post.content}\n`;
+
+	// for each post.metaContent object attribute, append to output as a component
 	Object.entries(post.metaContent).forEach(([key, value]) => {
-		output += `\n\n::${key}\n${value}\n::\n`;
+		const mapping = { type: config.profile.componentSyntax };
+		output += '\n\n' + shortcodes.buildComponent(mapping, { name: key, attributes: {} }, value, false) + '\n';
 	});
 
 	return output;
 }
 
+function formatDate(value, config) {
+	const output = serializer.formatDate(value, config);
+	return config.quoteDate ? `"${output}"` : output;
+}
+
 /**
- * @param {Object.<string, import('./parser.js').Post[]>} groupMap
- *   A map of groupKey → array of posts in that translation group
+ * @param {Array.<{url: string, destinationPath: string, variants: Array, links: Array.<string>}>} images Every image
+ *   to save, from paths.planOutput().
  */
-async function writeImageFilesPromise(groupMap) {
-  let existingCount = 0;
-  let delay = 0;
-  const payloads = [];
-
-  for (const [groupKey, postsInGroup] of Object.entries(groupMap)) {
-    // Determine the images directory for this group
-    let imagesDir;
-
-    if (shared.config.polylang && postsInGroup.length > 1) {
-      // Polylang group: use the group’s base slug folder
-      const baseSlug = chooseBaseSlug(postsInGroup, shared.config.defaultLanguage);
-      const groupFolder = shared.config.postFolders
-        ? path.join(shared.config.output, baseSlug)
-        : shared.config.output;
-      imagesDir = path.join(groupFolder, 'images');
-    } else {
-      // Single-post or non-Polylang: images next to that post’s path
-      for (const post of postsInGroup) {
-        const postPath = shared.buildPostPath(post);
-        const dir = path.join(path.dirname(postPath), 'images');
-        // collect images for this one post
-        for (const imageUrl of post.imageUrls) {
-          const filename = shared.getFilenameFromUrl(imageUrl);
-          const destinationPath = path.join(dir, filename);
-          if (checkFile(destinationPath)) {
-            existingCount++;
-            continue;
-          }
-          payloads.push({
-            item: imageUrl,
-            type: 'image',
-            name: filename,
-            destinationPath,
-            delay
-          });
-          delay += shared.config.requestDelay;
-        }
-      }
-      // skip ahead to next group
-      continue;
-    }
-
-    // For a Polylang group, gather images from _all_ translations into one folder
-    for (const post of postsInGroup) {
-      for (const imageUrl of post.imageUrls) {
-        const filename = shared.getFilenameFromUrl(imageUrl);
-        const destinationPath = path.join(imagesDir, filename);
-        if (checkFile(destinationPath)) {
-          existingCount++;
-          continue;
-        }
-        payloads.push({
-          item: imageUrl,
-          type: 'image',
-          name: filename,
-          destinationPath,
-          delay
-        });
-        delay += shared.config.requestDelay;
-      }
-    }
-  }
-
-  logSavingMessage('images', existingCount, payloads.length);
-  if (payloads.length > 0) {
-    await processPayloadsPromise(payloads, loadImageFilePromise);
-  }
+async function writeImageFilesPromise(images, fetchFilePromise, store, failedDownloads, config, events) {
+	const existingFiles = [];
+	const payloads = [];
+
+	for (const { url, destinationPath, variants, links } of images) {
+		if (checkFile(destinationPath)) {
+			existingFiles.push({ type: 'image', destinationPath, status: 'existing' });
+			await writeExistingLinksPromise({ url, destinationPath, variants, links }, 'image', store, events);
+			continue;
+		}
+		payloads.push({
+			item: { url, destinationPath, variants, links },
+			type: 'image',
+			name: path.basename(destinationPath),
+			destinationPath
+		});
+	}
+
+	logSavingMessage('images', existingFiles.length, payloads.length, events);
+	const loadFunc = (image) => loadImageFilePromise(image, fetchFilePromise, store, config);
+	const writtenFiles = payloads.length > 0 ? await processDownloadPayloadsPromise(payloads, loadFunc, store, failedDownloads, config, events) : [];
+	return [...existingFiles, ...writtenFiles];
 }
 
-async function loadImageFilePromise(imageUrl) {
-	// only encode the URL if it doesn't already have encoded characters
-	const url = (/%[\da-f]{2}/i).test(imageUrl) ? imageUrl : encodeURI(imageUrl);
-
-	const requestConfig = {
-		method: 'get',
-		url,
-		headers: {
-			'User-Agent': 'wordpress-export-to-markdown'
-		},
-		responseType: 'arraybuffer'
-	};
+/**
+ * @param {Array.<{url: string, destinationPath: string, links: Array.<string>}>} media Every media file to save, from
+ *   paths.planOutput().
+ */
+async function writeMediaFilesPromise(media, fetchFilePromise, store, failedDownloads, config, events) {
+	const existingFiles = [];
+	const payloads = [];
+
+	for (const { url, destinationPath, links } of media) {
+		if (checkFile(destinationPath)) {
+			existingFiles.push({ type: 'media', destinationPath, status: 'existing' });
+			await writeExistingLinksPromise({ url, destinationPath, variants: [], links }, 'media', store, events);
+			continue;
+		}
+		payloads.push({
+			item: { url, destinationPath, variants: [], links },
+			type: 'media',
+			name: path.basename(destinationPath),
+			destinationPath
+		});
+	}
 
-	if (!shared.config.strictSsl) {
-		// custom agents to disable SSL errors (adding both http and https, just in case)
-		requestConfig.httpAgent = new http.Agent({ rejectUnauthorized: false });
-		requestConfig.httpsAgent = new https.Agent({ rejectUnauthorized: false });
+	logSavingMessage('media files', existingFiles.length, payloads.length, events);
+	const loadFunc = (mediaFile) => fetchFilePromise(mediaFile.url);
+	const writtenFiles = payloads.length > 0 ? await processDownloadPayloadsPromise(payloads, loadFunc, store, failedDownloads, config, events) : [];
+	return [...existingFiles, ...writtenFiles];
+}
+
+async function loadImageFilePromise(image, fetchFilePromise, store, config) {
+	const buffer = await fetchFilePromise(image.url);
+	if (!processor.isProcessable(image.destinationPath, config)) {
+		return buffer;
 	}
 
-	const response = await axios(requestConfig);
-	const buffer = Buffer.from(response.data, 'binary');
+	// variants are saved along the way, the processed image itself is saved like any other
+	const processed = await processor.processImagePromise(buffer, image.variants, config);
+	for (const [index, variant] of image.variants.entries()) {
+		await store.writeFilePromise(variant.destinationPath, processed.variants[index]);
+	}
 
-	return buffer;
+	return processed.data;
+}
+
+// links to a shared file (and its variants) from the folders of the posts that use it
+async function writeLinksPromise(file, store) {
+	for (const linkPath of file.links ?? []) {
+		await store.linkFilePromise(file.destinationPath, linkPath);
+	}
+
+	for (const variant of file.variants) {
+		for (const linkPath of variant.links ?? []) {
+			await store.linkFilePromise(variant.destinationPath, linkPath);
+		}
+	}
+}
+
+// a shared file saved by an earlier run can still be used by posts that are new since then
+async function writeExistingLinksPromise(file, fileType, store, events) {
+	try {
+		await writeLinksPromise(file, store);
+	} catch (ex) {
+		logPayloadResult({ type: fileType, name: path.basename(file.destinationPath), destinationPath: file.destinationPath }, events, ex.message);
+	}
 }
 
 function checkFile(path) {
 	return fs.existsSync(path);
 }
 
-function logSavingMessage(things, existingCount, remainingCount) {
-	shared.logHeading(`Saving ${things}`);
+function logSavingMessage(things, existingCount, remainingCount, events) {
+	events.emit('progress', { type: 'heading', text: `Saving ${things}` });
+
+	let text;
 	if (existingCount + remainingCount === 0) {
-		console.log(`No ${things} to save.`);
+		text = `No ${things} to save.`;
 	} else if (existingCount === 0) {
-		console.log(`${remainingCount} ${things} to save.`);
+		text = `${remainingCount} ${things} to save.`;
 	} else if (remainingCount === 0) {
-		console.log(`All ${existingCount} ${things} already saved.`);
+		text = `All ${existingCount} ${things} already saved.`;
 	} else {
-		console.log(`${existingCount} ${things} already saved, ${remainingCount} remaining.`);
+		text = `${existingCount} ${things} already saved, ${remainingCount} remaining.`;
 	}
+
+	events.emit('progress', { type: 'message', text });
 }
 
-function logPayloadResult(payload, errorMessage) {
-	const messageBits = [
-		errorMessage ? chalk.red('✗') : chalk.green('✓'),
-		chalk.gray(`[${payload.type}]`),
-		payload.name
-	];
-	if (errorMessage) {
-		messageBits.push(chalk.red(`(${errorMessage})`));
+function logSyncMessage(actions, config, events) {
+	events.emit('progress', { type: 'heading', text: 'Syncing posts' });
+
+	const countBits = [
+		['create', 'new'],
+		['update', 'changed'],
+		['move', 'moved'],
+		['delete', 'deleted'],
+		['unchanged', 'unchanged']
+	].map(([action, label]) => {
+		const count = actions.filter((item) => item.action === action).length;
+		return count > 0 ? `${count} ${label}` : undefined;
+	}).filter((bit) => bit);
+	events.emit('progress', { type: 'message', text: countBits.length > 0 ? countBits.join(', ') + '.' : 'No posts to sync.' });
+
+	const editedActions = actions.filter((action) => action.action === 'edited');
+	if (editedActions.length > 0) {
+		events.emit('progress', {
+			type: 'warning',
+			text: `${editedActions.length} posts were edited by hand since the last sync, leaving them alone:`,
+			details: editedActions.map((action) => path.relative(config.output, action.previousPath ?? action.destinationPath))
+		});
+	}
+
+	const conflictActions = actions.filter((action) => action.action === 'conflict');
+	if (conflictActions.length > 0) {
+		events.emit('progress', {
+			type: 'warning',
+			text: `${conflictActions.length} posts have new paths with files already there that weren't written by sync, leaving both alone:`,
+			details: conflictActions.map((action) => `${path.relative(config.output, action.previousPath)} -> ${path.relative(config.output, action.destinationPath)}`)
+		});
 	}
+}
 
-	console.log(messageBits.join(' '));
+function logPayloadResult(payload, events, errorMessage) {
+	events.emit('progress', {
+		type: 'file',
+		fileType: payload.type,
+		name: payload.name,
+		destinationPath: payload.destinationPath,
+		error: errorMessage
+	});
 }